@@ -6,7 +6,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
-const { randomUUID } = require('crypto');
+const PDFDocument = require('pdfkit');
+const { randomUUID, randomBytes, randomInt, createHash, createHmac, createCipheriv, createDecipheriv, timingSafeEqual } = require('crypto');
 require('dotenv').config();
 
 // PhonePe SDK Import
@@ -17,21 +18,502 @@ const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/car-rental';
 
-// PhonePe Client Initialization
-const phonePeClient = StandardCheckoutClient.getInstance(
-  process.env.PHONEPE_CLIENT_ID || '<your_client_id>',
-  process.env.PHONEPE_CLIENT_SECRET || '<your_client_secret>',
-  process.env.PHONEPE_CLIENT_VERSION || 'v1',
-  process.env.NODE_ENV === 'production' ? Env.PRODUCTION : Env.SANDBOX
-);
+// Access tokens are short-lived JWTs; each login opens a session whose refresh token is rotated on every use
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// One-time codes sent by SMS for mobile login and password reset
+const OTP_LENGTH = Number(process.env.OTP_LENGTH || 6);
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS || 60);
+const OTP_MAX_PER_HOUR = Number(process.env.OTP_MAX_PER_HOUR || 5);
+const MIN_PASSWORD_LENGTH = 6;
+
+// Calendar days and weekdays for pricing rules are those of the business, not of the server
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+// Home delivery / return pickup zones, in increasing distance. Each zone covers the km between
+// the previous zone's upToKm and its own; the last zone's upToKm is the maximum service radius.
+const DELIVERY_ZONES = process.env.DELIVERY_ZONES ? JSON.parse(process.env.DELIVERY_ZONES) : [
+  { upToKm: 5, baseFee: 500 },
+  { upToKm: 15, perKmRate: 40 },
+  { upToKm: 25, perKmRate: 50 }
+];
+
+// Refund share of the amount paid by how many hours before startTime a booking is cancelled.
+// Tiers are checked from the top; cancelling after the rental has started refunds nothing.
+const CANCELLATION_POLICY = process.env.CANCELLATION_POLICY ? JSON.parse(process.env.CANCELLATION_POLICY) : [
+  { minHoursBeforeStart: 48, refundPercent: 100 },
+  { minHoursBeforeStart: 24, refundPercent: 75 },
+  { minHoursBeforeStart: 0, refundPercent: 50 }
+];
+
+// What staff may do. Customers hold no permissions; they can only reach their own bookings and profile.
+const PERMISSIONS = {
+  'users.manage': 'Create staff accounts, change roles and deactivate users',
+  'cars.manage': 'Add, edit and remove cars',
+  'pricing.manage': 'Manage pricing rules and coupons',
+  'bookings.view': 'See every booking with its documents, inspections, ledger and invoices',
+  'bookings.review': 'Accept or decline bookings and review KYC documents and profiles',
+  'bookings.manage': 'Cancel or modify bookings on behalf of customers (cancelling with a refund also needs payments.refund)',
+  'rentals.operate': 'Start and complete rentals',
+  'damages.charge': 'Record damage charges against the security deposit',
+  'payments.refund': 'Issue refunds and waive the cancellation policy',
+  'ledger.manage': 'Post ledger entries and issue invoices',
+  'payments.audit': 'Inspect and replay webhook events and run payment reconciliation',
+  'stats.view': 'See the dashboard'
+};
+const ROLE_PERMISSIONS = {
+  customer: [],
+  admin: Object.keys(PERMISSIONS),
+  fleet_manager: ['cars.manage', 'pricing.manage', 'bookings.view', 'rentals.operate', 'damages.charge', 'stats.view'],
+  front_desk: ['bookings.view', 'bookings.review', 'bookings.manage', 'rentals.operate'],
+  accountant: ['bookings.view', 'payments.refund', 'ledger.manage', 'payments.audit', 'stats.view']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Handover / return inspection checklist
+const INSPECTION_CHECKLIST = {
+  exterior: [
+    'front_bumper', 'rear_bumper', 'bonnet', 'roof', 'boot',
+    'left_front_door', 'left_rear_door', 'right_front_door', 'right_rear_door',
+    'left_fender', 'right_fender', 'windshield', 'rear_glass',
+    'left_mirror', 'right_mirror', 'headlights', 'taillights'
+  ],
+  tyres: ['front_left', 'front_right', 'rear_left', 'rear_right', 'spare'],
+  interior: ['seats', 'dashboard', 'floor_mats', 'roof_lining', 'air_conditioning', 'infotainment'],
+  accessories: ['jack', 'toolkit', 'first_aid_kit', 'fire_extinguisher', 'warning_triangle', 'vehicle_documents', 'charging_cable']
+};
+const INSPECTION_CONDITIONS = ['ok', 'scratch', 'dent', 'crack', 'broken', 'worn', 'stain', 'missing', 'other'];
+
+// Refuelling / recharging when a car comes back lower than handed over. Fuel is charged per started
+// quarter tank missing, EV battery per percentage point missing.
+const REFUEL_FEE_PER_QUARTER = Number(process.env.REFUEL_FEE_PER_QUARTER || 1000);
+const RECHARGE_FEE_PER_PERCENT = Number(process.env.RECHARGE_FEE_PER_PERCENT || 15);
+
+// GST invoicing. Booking prices are GST-inclusive; the tax is split out of each line item.
+const COMPANY_GSTIN = process.env.COMPANY_GSTIN || '';
+const COMPANY_DETAILS = {
+  name: process.env.COMPANY_NAME || 'Zion Car Rentals',
+  address: process.env.COMPANY_ADDRESS || '',
+  gstin: COMPANY_GSTIN,
+  stateCode: process.env.COMPANY_STATE_CODE || COMPANY_GSTIN.slice(0, 2) || '29'
+};
+const GST_RATE = Number(process.env.GST_RATE || 18);
+const SAC_CODES = {
+  selfDrive: process.env.SAC_SELF_DRIVE || '997311',   // Rental of cars without operator
+  withDriver: process.env.SAC_WITH_DRIVER || '996601'  // Rental of cars with operator
+};
+const INVOICE_DIR = process.env.INVOICE_DIR || './invoices';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Background expiry of bookings nobody acts on
+const PAYMENT_PENDING_EXPIRY_HOURS = Number(process.env.PAYMENT_PENDING_EXPIRY_HOURS || 24);
+const STALE_PENDING_HOURS = Number(process.env.STALE_PENDING_HOURS || 48);
+const EXPIRY_CHECK_INTERVAL_MINUTES = Number(process.env.EXPIRY_CHECK_INTERVAL_MINUTES || 15);
+
+// Background reconciliation of orders and refunds still pending on our side
+const RECONCILIATION_MIN_AGE_MINUTES = Number(process.env.RECONCILIATION_MIN_AGE_MINUTES || 30);
+const RECONCILIATION_LOOKBACK_DAYS = Number(process.env.RECONCILIATION_LOOKBACK_DAYS || 7);
+const RECONCILIATION_INTERVAL_MINUTES = Number(process.env.RECONCILIATION_INTERVAL_MINUTES || 30);
+
+// ==================== PAYMENT GATEWAY ====================
+//
+// Route handlers talk to `paymentGateway`, never to a gateway SDK. Every provider implements:
+//   pay({ merchantOrderId, amount, redirectUrl, metaInfo })       -> { orderId, redirectUrl, state, expireAt }
+//   getOrderStatus(merchantOrderId)                               -> { orderId, state, amount, paymentDetails }
+//   refund({ merchantRefundId, originalMerchantOrderId, amount }) -> { refundId, state, amount }
+//   getRefundStatus(merchantRefundId)                             -> { merchantRefundId, state, amount }
+//   validateCallback(authorization, responseBody)                 -> { type, payload }
+// Amounts passed in are rupees; amounts returned are paisa, as PhonePe reports them.
+// States and callback types follow PhonePe's names (COMPLETED, FAILED, CHECKOUT_ORDER_COMPLETED, ...).
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'phonepe';
+
+const createPhonePeGateway = () => {
+  // PhonePe Client Initialization
+  const client = StandardCheckoutClient.getInstance(
+    process.env.PHONEPE_CLIENT_ID || '<your_client_id>',
+    process.env.PHONEPE_CLIENT_SECRET || '<your_client_secret>',
+    process.env.PHONEPE_CLIENT_VERSION || 'v1',
+    process.env.NODE_ENV === 'production' ? Env.PRODUCTION : Env.SANDBOX
+  );
+
+  return {
+    name: 'phonepe',
+
+    pay: ({ merchantOrderId, amount, redirectUrl, metaInfo = {} }) => {
+      const meta = MetaInfo.builder()
+        .udf1(metaInfo.udf1)
+        .udf2(metaInfo.udf2)
+        .udf3(metaInfo.udf3)
+        .udf4(metaInfo.udf4)
+        .udf5(metaInfo.udf5)
+        .build();
+
+      // Amount in paisa (PhonePe requires amount in smallest currency unit)
+      const request = StandardCheckoutPayRequest.builder()
+        .merchantOrderId(merchantOrderId)
+        .amount(amount * 100)
+        .redirectUrl(redirectUrl)
+        .metaInfo(meta)
+        .build();
+
+      return client.pay(request);
+    },
+
+    getOrderStatus: (merchantOrderId) => client.getOrderStatus(merchantOrderId),
+
+    refund: ({ merchantRefundId, originalMerchantOrderId, amount }) => {
+      const request = RefundRequest.builder()
+        .merchantRefundId(merchantRefundId)
+        .originalMerchantOrderId(originalMerchantOrderId)
+        .amount(amount * 100)
+        .build();
+
+      return client.refund(request);
+    },
+
+    getRefundStatus: (merchantRefundId) => client.getRefundStatus(merchantRefundId),
+
+    validateCallback: (authorization, responseBody) => client.validateCallback(
+      process.env.PHONEPE_WEBHOOK_USERNAME,
+      process.env.PHONEPE_WEBHOOK_PASSWORD,
+      authorization,
+      responseBody
+    )
+  };
+};
+
+// Local stand-in for PhonePe: orders live in memory, the checkout page lets you pick success or
+// failure, and results are delivered to our own webhook signed the same way PhonePe signs them.
+const createMockGateway = () => {
+  const orders = new Map();
+  const refunds = new Map();
+  const webhookUsername = process.env.MOCK_WEBHOOK_USERNAME || 'mock-user';
+  const webhookPassword = process.env.MOCK_WEBHOOK_PASSWORD || 'mock-pass';
+  const webhookUrl = process.env.MOCK_WEBHOOK_URL || `http://localhost:${PORT}/api/payment/webhook`;
+  const publicUrl = process.env.MOCK_PUBLIC_URL || `http://localhost:${PORT}`;
+  const sendWebhooks = process.env.MOCK_SEND_WEBHOOKS !== 'false';
+  const refundDelayMs = Number(process.env.MOCK_REFUND_DELAY_MS || 3000);
+  const refundResult = process.env.MOCK_REFUND_RESULT === 'failure' ? 'FAILED' : 'COMPLETED';
+
+  const signature = () => createHash('sha256').update(`${webhookUsername}:${webhookPassword}`).digest('hex');
+
+  const sendWebhook = async (type, payload) => {
+    if (!sendWebhooks) return;
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: signature() },
+        body: JSON.stringify({ type, payload })
+      });
+      console.log(`Mock gateway webhook ${type}: HTTP ${response.status}`);
+    } catch (error) {
+      console.error('Mock gateway webhook error:', error.message);
+    }
+  };
+
+  const orderPayload = (order) => ({
+    merchantId: 'MOCKMERCHANT',
+    originalMerchantOrderId: order.merchantOrderId,
+    orderId: order.orderId,
+    state: order.state,
+    amount: order.amount,
+    expireAt: order.expireAt,
+    metaInfo: order.metaInfo,
+    paymentDetails: order.transactionId ? [{
+      transactionId: order.transactionId,
+      paymentMode: 'UPI_INTENT',
+      timestamp: order.updatedAt,
+      amount: order.amount,
+      state: order.state
+    }] : []
+  });
+
+  return {
+    name: 'mock',
+
+    pay: async ({ merchantOrderId, amount, redirectUrl, metaInfo = {} }) => {
+      const order = {
+        merchantOrderId,
+        orderId: `MOCK-OMO${Date.now()}${Math.round(Math.random() * 1E6)}`,
+        amount: amount * 100,
+        redirectUrl,
+        metaInfo,
+        state: 'PENDING',
+        expireAt: Date.now() + 20 * 60 * 1000,
+        updatedAt: Date.now()
+      };
+      orders.set(merchantOrderId, order);
+
+      return {
+        orderId: order.orderId,
+        state: order.state,
+        expireAt: order.expireAt,
+        redirectUrl: `${publicUrl}/api/payment/mock/checkout/${encodeURIComponent(merchantOrderId)}`
+      };
+    },
+
+    getOrderStatus: async (merchantOrderId) => {
+      const order = orders.get(merchantOrderId);
+      if (!order) throw new Error(`Mock gateway: order ${merchantOrderId} not found`);
+      return orderPayload(order);
+    },
+
+    refund: async ({ merchantRefundId, originalMerchantOrderId, amount }) => {
+      const order = orders.get(originalMerchantOrderId);
+      if (!order || order.state !== 'COMPLETED') {
+        throw new Error(`Mock gateway: order ${originalMerchantOrderId} is not completed`);
+      }
+
+      const refund = {
+        merchantRefundId,
+        originalMerchantOrderId,
+        refundId: `MOCK-OMR${Date.now()}${Math.round(Math.random() * 1E6)}`,
+        amount: amount * 100,
+        state: 'PENDING'
+      };
+      refunds.set(merchantRefundId, refund);
+
+      setTimeout(() => {
+        refund.state = refundResult;
+        sendWebhook(refundResult === 'COMPLETED' ? 'PG_REFUND_COMPLETED' : 'PG_REFUND_FAILED', {
+          merchantId: 'MOCKMERCHANT',
+          merchantRefundId,
+          originalMerchantOrderId,
+          refundId: refund.refundId,
+          amount: refund.amount,
+          state: refund.state
+        });
+      }, refundDelayMs);
+
+      return { refundId: refund.refundId, state: refund.state, amount: refund.amount };
+    },
+
+    getRefundStatus: async (merchantRefundId) => {
+      const refund = refunds.get(merchantRefundId);
+      if (!refund) throw new Error(`Mock gateway: refund ${merchantRefundId} not found`);
+      return { merchantId: 'MOCKMERCHANT', ...refund, paymentDetails: [] };
+    },
+
+    validateCallback: (authorization, responseBody) => {
+      if (authorization !== signature()) {
+        throw new Error('Invalid Callback');
+      }
+      return JSON.parse(responseBody);
+    },
+
+    // Used by the mock checkout page only
+    getOrder: (merchantOrderId) => orders.get(merchantOrderId),
+
+    completeOrder: async (merchantOrderId, success) => {
+      const order = orders.get(merchantOrderId);
+      if (!order) return null;
+      if (order.state === 'PENDING') {
+        order.state = success ? 'COMPLETED' : 'FAILED';
+        order.transactionId = `MOCK-T${Date.now()}`;
+        order.updatedAt = Date.now();
+        await sendWebhook(success ? 'CHECKOUT_ORDER_COMPLETED' : 'CHECKOUT_ORDER_FAILED', orderPayload(order));
+      }
+      return order;
+    }
+  };
+};
+
+const PAYMENT_PROVIDERS = {
+  phonepe: createPhonePeGateway,
+  mock: createMockGateway
+};
+
+if (!PAYMENT_PROVIDERS[PAYMENT_PROVIDER]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}". Use one of: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}`);
+}
+// The mock gateway accepts fixed webhook credentials and fakes every payment
+if (PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('PAYMENT_PROVIDER "mock" cannot be used when NODE_ENV=production');
+}
+const paymentGateway = PAYMENT_PROVIDERS[PAYMENT_PROVIDER]();
+
+// ==================== DOCUMENT STORAGE ====================
+//
+// Uploaded documents and photos are stored through `documentStorage`, never read from disk directly.
+// Every backend implements:
+//   save(key, buffer, { contentType }) -> key
+//   read(key)                          -> Buffer, rejecting with code 'ENOENT' for an unknown key
+//   remove(key)
+// Keys are flat file names such as `drivingLicense-1697000000000-123.jpg`; that is what bookings and
+// KYC profiles store. Nothing is served statically: clients get short-lived signed URLs from the routes
+// that check who may see a document, and GET /api/files/:key only verifies the signature.
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || JWT_SECRET;
+const FILE_URL_TTL_SECONDS = Number(process.env.FILE_URL_TTL_SECONDS || 300);
+
+// 32-byte key, hex or base64. When set, new uploads are encrypted with AES-256-GCM before they reach
+// the backend; files stored before encryption was turned on are still read as they are.
+const DOCUMENT_ENCRYPTION_KEY = process.env.DOCUMENT_ENCRYPTION_KEY || '';
+const ENCRYPTED_FILE_MAGIC = Buffer.from('ZENC1');
+
+const FILE_KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const FILE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+
+// Older records store paths such as `uploads/livePhoto-....jpg`; the key is the file name
+const toStorageKey = (storedPath) => {
+  if (!storedPath) return null;
+  const key = path.basename(String(storedPath));
+  return FILE_KEY_PATTERN.test(key) ? key : null;
+};
+
+const createLocalStorage = () => {
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  }
+
+  const resolve = (key) => {
+    if (!FILE_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(UPLOAD_DIR, key);
+  };
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      await fs.promises.writeFile(resolve(key), buffer);
+      return key;
+    },
+    read: async (key) => fs.promises.readFile(resolve(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const parseEncryptionKey = (value) => {
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('DOCUMENT_ENCRYPTION_KEY must be 32 bytes, given as 64 hex characters or base64');
+  }
+  return key;
+};
+
+// Wraps a backend so stored bytes are ZENC1 | 12-byte IV | 16-byte auth tag | ciphertext
+const withEncryption = (backend, key) => ({
+  ...backend,
+  encrypted: true,
+  save: async (fileKey, buffer, options) => {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return backend.save(fileKey, Buffer.concat([ENCRYPTED_FILE_MAGIC, iv, cipher.getAuthTag(), ciphertext]), options);
+  },
+  read: async (fileKey) => {
+    const stored = await backend.read(fileKey);
+    if (!stored.subarray(0, ENCRYPTED_FILE_MAGIC.length).equals(ENCRYPTED_FILE_MAGIC)) {
+      return stored;
+    }
+    const offset = ENCRYPTED_FILE_MAGIC.length;
+    const decipher = createDecipheriv('aes-256-gcm', key, stored.subarray(offset, offset + 12));
+    decipher.setAuthTag(stored.subarray(offset + 12, offset + 28));
+    return Buffer.concat([decipher.update(stored.subarray(offset + 28)), decipher.final()]);
+  }
+});
+
+// An S3-compatible backend only needs the same three methods
+const STORAGE_BACKENDS = {
+  local: createLocalStorage
+};
+
+if (!STORAGE_BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+}
+const documentStorage = DOCUMENT_ENCRYPTION_KEY
+  ? withEncryption(STORAGE_BACKENDS[STORAGE_BACKEND](), parseEncryptionKey(DOCUMENT_ENCRYPTION_KEY))
+  : STORAGE_BACKENDS[STORAGE_BACKEND]();
+
+const signFileKey = (key, expires) => {
+  return createHmac('sha256', FILE_URL_SECRET).update(`${key}:${expires}`).digest('hex');
+};
+
+// Relative URL that serves the file until it expires; null for a missing or invalid key
+const getSignedFileUrl = (storedPath, ttlSeconds = FILE_URL_TTL_SECONDS) => {
+  const key = toStorageKey(storedPath);
+  if (!key) return null;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `/api/files/${encodeURIComponent(key)}?expires=${expires}&signature=${signFileKey(key, expires)}`;
+};
+
+const verifyFileSignature = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+  const expected = Buffer.from(signFileKey(key, expiresAt), 'hex');
+  const given = Buffer.from(String(signature || ''), 'hex');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+// ==================== SMS ====================
+//
+// Text messages go through `smsSender.send({ to, message })`. The built-in senders are for local
+// development: `console` prints each message and `file` appends it as a JSON line to SMS_OUTBOX_FILE.
+// Both would put login codes in server logs or files, so production refuses them and defaults to
+// `disabled`, which sends nothing. A real gateway is added as another entry in SMS_PROVIDERS.
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'disabled' : 'console');
+const DEV_SMS_PROVIDERS = ['console', 'file'];
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || './sms-outbox.log';
+
+const createConsoleSmsSender = () => ({
+  name: 'console',
+  send: async ({ to, message }) => {
+    console.log(`📱 SMS to ${to}: ${message}`);
+  }
+});
+
+const createFileSmsSender = () => ({
+  name: 'file',
+  send: async ({ to, message }) => {
+    await fs.promises.appendFile(SMS_OUTBOX_FILE, JSON.stringify({ to, message, sentAt: new Date() }) + '\n');
+  }
+});
+
+const createDisabledSmsSender = () => ({
+  name: 'disabled',
+  send: async () => {
+    throw new Error('SMS sending is disabled. Set SMS_PROVIDER to an SMS gateway');
+  }
+});
+
+const SMS_PROVIDERS = {
+  console: createConsoleSmsSender,
+  file: createFileSmsSender,
+  disabled: createDisabledSmsSender
+};
+
+if (!SMS_PROVIDERS[SMS_PROVIDER]) {
+  throw new Error(`Unknown SMS_PROVIDER "${SMS_PROVIDER}". Use one of: ${Object.keys(SMS_PROVIDERS).join(', ')}`);
+}
+if (DEV_SMS_PROVIDERS.includes(SMS_PROVIDER) && process.env.NODE_ENV === 'production') {
+  throw new Error(`SMS_PROVIDER "${SMS_PROVIDER}" writes codes to the server and cannot be used when NODE_ENV=production`);
+}
+const smsSender = SMS_PROVIDERS[SMS_PROVIDER]();
 
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static('uploads'));
 
-if (!fs.existsSync('./uploads')) {
-  fs.mkdirSync('./uploads', { recursive: true });
+// Invoices are served through authenticated routes only, never statically
+if (!fs.existsSync(INVOICE_DIR)) {
+  fs.mkdirSync(INVOICE_DIR, { recursive: true });
 }
 
 mongoose.connect(MONGODB_URI, {
@@ -42,12 +524,50 @@ mongoose.connect(MONGODB_URI, {
 
 // ==================== SCHEMAS ====================
 
+// Relation to the guardian named in KYC details, as written on Indian ID documents
+const GUARDIAN_RELATIONS = ['S/o', 'W/o', 'D/o'];
+
+// Review outcome for one uploaded KYC document
+const documentCheckSchema = new mongoose.Schema({
+  status: { type: String, enum: ['pending', 'verified', 'rejected'], default: 'pending' },
+  reason: String,
+  autoRejected: { type: Boolean, default: false },   // Set by the licence validity check rather than an admin
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   mobile: { type: String, required: true },
-  role: { type: String, enum: ['customer', 'admin'], default: 'customer' },
+  role: { type: String, enum: ROLES, default: 'customer' },
+  active: { type: Boolean, default: true },   // Deactivated accounts can no longer log in
+
+  // KYC details and documents, submitted once and reused by later bookings
+  kyc: {
+    fullName: String,
+    guardianName: String,
+    guardianRelation: String,
+    residentialAddress: String,
+    occupation: String,
+    reference1Name: String,
+    reference1Mobile: String,
+    reference2Name: String,
+    reference2Mobile: String,
+    drivingLicenseNumber: String,
+    licenseExpiryDate: Date,
+    drivingLicenseImage: String,
+    aadharCardImage: String,
+    livePhoto: String,
+
+    status: { type: String, enum: ['not_submitted', 'pending', 'verified', 'rejected'], default: 'not_submitted' },
+    submittedAt: Date,
+    verifiedAt: Date,
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectionReason: String
+  },
+
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -70,6 +590,17 @@ const carSchema = new mongoose.Schema({
     price72hr: { type: Number, required: true }
   },
   
+  // Free kilometres included with each tier (unset = unlimited); anything beyond is charged at excessKmRate
+  kmAllowance: {
+    km12hr: Number,
+    km24hr: Number,
+    km36hr: Number,
+    km48hr: Number,
+    km60hr: Number,
+    km72hr: Number
+  },
+  excessKmRate: { type: Number, default: 0 },   // Per km beyond the allowance
+
   securityDeposit: { type: Number, required: true },
   driverAvailable: { type: Boolean, default: false },
   driverChargesPerDay: { type: Number, default: 0 },
@@ -78,7 +609,7 @@ const carSchema = new mongoose.Schema({
   features: [String],
   imageUrl: String,
   registrationNumber: String,
-  available: { type: Boolean, default: true },
+  available: { type: Boolean, default: true }, // Admin "out of service" switch; slot availability comes from bookings
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -92,7 +623,7 @@ const bookingSchema = new mongoose.Schema({
 
   fullName: { type: String, required: true },
   guardianName: { type: String, required: true },
-  guardianRelation: { type: String, enum: ['S/o', 'W/o', 'D/o'], required: true },
+  guardianRelation: { type: String, enum: GUARDIAN_RELATIONS, required: true },
   residentialAddress: { type: String, required: true },
   email: { type: String, required: true },
   mobile: { type: String, required: true },
@@ -109,11 +640,21 @@ const bookingSchema = new mongoose.Schema({
   drivingLicenseImage: { type: String, required: true },
   aadharCardImage: { type: String, required: true },
   livePhoto: { type: String, required: true },
+  usedKycProfile: { type: Boolean, default: false },   // Details and documents copied from the customer's KYC profile
+  documentChecks: {
+    drivingLicense: { type: documentCheckSchema, default: () => ({}) },
+    aadharCard: { type: documentCheckSchema, default: () => ({}) },
+    livePhoto: { type: documentCheckSchema, default: () => ({}) }
+  },
+
+  customerGstin: String,               // For B2B tax invoices
 
   depositType: { type: String, enum: ['bike', 'cash', 'online'], required: true },
   bikeDetails: String,
   depositAmount: Number,
-  depositStatus: { type: String, enum: ['pending', 'received', 'refunded'], default: 'pending' },
+  depositStatus: { type: String, enum: ['pending', 'received', 'partially_refunded', 'refunded', 'retained'], default: 'pending' },
+  depositDeduction: { type: Number, default: 0 },   // Damage charges taken out of the deposit
+  depositRefundAmount: Number,
 
   withDriver: { type: Boolean, default: false },
   driverCharges: { type: Number, default: 0 },
@@ -123,12 +664,70 @@ const bookingSchema = new mongoose.Schema({
   deliveryDistance: Number,
   deliveryFee: { type: Number, default: 0 },
 
+  homePickup: { type: Boolean, default: false },
+  pickupAddress: String,
+  pickupDistance: Number,
+  pickupFee: { type: Number, default: 0 },
+
   vehicleName: String,
   vehicleNumber: String,
   startOdometer: Number,
   endOdometer: Number,
+  kmAllowance: Number,                 // Free km for the booked duration, fixed at booking time (unset = unlimited)
+  excessKmRate: Number,
+  distanceDriven: Number,
+  excessKm: { type: Number, default: 0 },
+  excessKmCharge: { type: Number, default: 0 },
+  startFuelLevel: Number,              // Fuel tank or EV battery, percent
+  endFuelLevel: Number,
+  refuelCharge: { type: Number, default: 0 },
+
+  // Vehicle condition at handover and return
+  inspections: [{
+    stage: { type: String, enum: ['handover', 'return'], required: true },
+    items: [{
+      section: String,
+      item: String,
+      condition: { type: String, enum: INSPECTION_CONDITIONS },
+      notes: String,
+      photos: [String]
+    }],
+    fuelLevel: Number,                 // Percentage of a full tank / charge
+    odometer: Number,
+    photos: [String],                  // Photos not tied to a checklist item
+    notes: String,
+    inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    inspectedAt: { type: Date, default: Date.now }
+  }],
+  // Checklist items in worse condition at return than at handover
+  damages: [{
+    section: String,
+    item: String,
+    handoverCondition: String,
+    returnCondition: String,
+    notes: String,
+    photos: [String]
+  }],
+  damageCharges: [{
+    item: String,                      // "section.item" from the checklist, if the charge relates to one
+    description: String,
+    amount: Number,
+    chargedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  depositSettledAt: Date,
 
   basePrice: Number,
+  tierPrice: Number,                   // Base price before pricing rules
+  appliedPricingRules: [{
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+    name: String,
+    adjustmentType: String,
+    value: Number,
+    amount: Number
+  }],
+  couponCode: String,
+  couponDiscount: { type: Number, default: 0 },
   lateReturnFee: { type: Number, default: 0 },
   totalPrice: Number,
 
@@ -138,21 +737,61 @@ const bookingSchema = new mongoose.Schema({
     default: 'pending'
   },
   adminNotes: String,
+  reviewedAt: Date,
+  staleFlaggedAt: Date,
 
-  // PhonePe Payment Fields (replaced Razorpay fields)
-  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed', 'refunded'], default: 'pending' },
+  // PhonePe Payment Fields
+  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'], default: 'pending' },
+  amountPaid: Number,                  // Amount captured on merchantOrderId
   phonePeOrderId: String,              // PhonePe's internal order ID
   merchantOrderId: String,             // Our unique merchant order ID
   phonePeTransactionId: String,        // PhonePe transaction ID
   paymentDate: Date,
+  ledgerBackfilledAt: Date,            // Set once entries for a booking older than the ledger were derived
 
   actualReturnTime: Date,
   lateHours: { type: Number, default: 0 },
 
+  // Extensions / date changes requested after payment; applied once any price difference is paid
+  modifications: [{
+    type: { type: String, enum: ['extension', 'reschedule'] },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    previousStartTime: Date,
+    previousEndTime: Date,
+    previousDuration: Number,
+    newStartTime: Date,
+    newEndTime: Date,
+    newDuration: Number,
+    newBasePrice: Number,
+    newTierPrice: Number,
+    newDriverCharges: Number,
+    newAppliedPricingRules: [{ ruleId: mongoose.Schema.Types.ObjectId, name: String, adjustmentType: String, value: Number, amount: Number }],
+    newKmAllowance: Number,
+    priceDifference: { type: Number, default: 0 },
+    amountPaid: Number,
+    merchantOrderId: String,
+    phonePeOrderId: String,
+    phonePeTransactionId: String,
+    status: { type: String, enum: ['payment_pending', 'completed', 'failed'], default: 'payment_pending' },
+    failureReason: String,
+    createdAt: { type: Date, default: Date.now },
+    completedAt: Date
+  }],
+
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancellationReason: String,
+  refundPercent: Number,
+  refundAmount: { type: Number, default: 0 },
+  merchantRefundId: String,
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+bookingSchema.index({ carId: 1, startTime: 1, endTime: 1 });
+bookingSchema.index({ 'modifications.merchantOrderId': 1 });
+
 const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
@@ -162,22 +801,265 @@ const notificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+
+  // Time scope (all optional); weekdays use 0 = Sunday ... 6 = Saturday
+  startDate: Date,
+  endDate: Date,
+  weekdays: [{ type: Number, min: 0, max: 6 }],
+
+  // Car scope (empty = all cars)
+  carTypes: [{ type: String, enum: ['normal', 'premium', 'luxury'] }],
+  brands: [String],
+
+  adjustmentType: { type: String, enum: ['percentage', 'flat'], required: true },
+  value: { type: Number, required: true },   // Positive = surcharge, negative = discount; flat values are per 24 hours
+  priority: { type: Number, default: 0 },    // Highest matching priority wins for each 12-hour block
+  active: { type: Boolean, default: true },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+
+  discountType: { type: String, enum: ['percentage', 'flat'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: Number,                 // Cap for percentage coupons
+
+  minDuration: { type: Number, default: 0 },
+  carTypes: [{ type: String, enum: ['normal', 'premium', 'luxury'] }],
+
+  validFrom: Date,
+  validUntil: Date,
+
+  usageLimit: Number,                  // Total redemptions across all customers
+  perUserLimit: { type: Number, default: 1 },
+  active: { type: Boolean, default: true },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const refundSchema = new mongoose.Schema({
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  merchantRefundId: { type: String, required: true, unique: true },
+  originalMerchantOrderId: { type: String, required: true },
+  phonePeRefundId: String,
+
+  amount: { type: Number, required: true },
+  purpose: { type: String, enum: ['rental', 'deposit'], default: 'rental' },
+  reason: String,
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  state: { type: String, enum: ['pending', 'accepted', 'completed', 'failed'], default: 'pending' },
+  errorCode: String,
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+// Booking ledger: charges and credits change what the customer owes, payments settle it.
+// Refunds live in the Refund collection and are merged into the ledger view.
+const transactionSchema = new mongoose.Schema({
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  type: { type: String, enum: ['charge', 'credit', 'payment'], required: true },
+  category: {
+    type: String,
+    enum: ['rental', 'extension', 'late_fee', 'damage', 'excess_km', 'fuel', 'cancellation', 'refund_adjustment', 'balance', 'other'],
+    required: true
+  },
+  amount: { type: Number, required: true, min: 0 },
+  description: String,
+
+  // Payments only
+  merchantOrderId: String,
+  phonePeOrderId: String,
+  phonePeTransactionId: String,
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+transactionSchema.index({ bookingId: 1, createdAt: 1 });
+transactionSchema.index({ merchantOrderId: 1 });
+
+// Every validated PhonePe webhook; dedupeKey makes redelivered events no-ops
+const webhookEventSchema = new mongoose.Schema({
+  dedupeKey: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  merchantOrderId: String,
+  merchantRefundId: String,
+  state: String,
+  payload: mongoose.Schema.Types.Mixed,
+
+  status: { type: String, enum: ['received', 'processed', 'failed'], default: 'received' },
+  result: String,
+  error: String,
+  attempts: { type: Number, default: 0 },
+  deliveries: Number,
+
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: Date
+});
+
+// One pass of the reconciliation job; items hold only records whose state differed from the gateway or could not be checked
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  error: String,
+
+  checked: { type: Number, default: 0 },
+  stillPending: { type: Number, default: 0 },
+  mismatches: { type: Number, default: 0 },
+  fixed: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+
+  items: [{
+    kind: { type: String, enum: ['booking', 'modification', 'balance', 'refund'] },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    merchantOrderId: String,
+    merchantRefundId: String,
+    localState: String,
+    gatewayState: String,
+    amount: Number,
+    gatewayAmount: Number,
+    action: String,
+    fixed: Boolean,
+    error: String
+  }],
+
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+});
+
+// Atomic sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 }
+});
+
+// Tax invoices and credit notes; amounts are frozen at issue so later booking changes don't alter them
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  documentType: { type: String, enum: ['invoice', 'credit_note'], required: true },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  originalInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },   // Credit notes only
+  refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },             // Credit notes only
+  reason: String,
+
+  supplier: { name: String, address: String, gstin: String, stateCode: String },
+  recipient: { name: String, address: String, email: String, mobile: String, gstin: String },
+  placeOfSupply: String,               // State code
+  interState: { type: Boolean, default: false },
+  gstRate: Number,
+
+  lineItems: [{
+    description: String,
+    sac: String,
+    amount: Number,                    // GST-inclusive
+    taxableValue: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+  }],
+  taxableValue: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: Number,
+
+  filePath: String,
+  issuedAt: { type: Date, default: Date.now }
+});
+
+// One tax invoice per booking and one credit note per refund
+invoiceSchema.index({ bookingId: 1 }, { unique: true, partialFilterExpression: { documentType: 'invoice' } });
+invoiceSchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { refundId: { $exists: true } } });
+
+// One per login (device). Only hashes of refresh tokens are stored. Every rotated-out hash is kept until
+// the session expires, so that replaying any already-rotated token can be detected and the session shut down.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  retiredRefreshTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ['logout', 'logout_all', 'refresh_token_reuse', 'deactivated', 'password_changed', 'password_reset'] }
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A code sent to a user's mobile. Only an HMAC of the code is stored.
+const otpSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['login', 'password_reset'], required: true },
+  codeHash: { type: String, required: true },
+  sentTo: String,
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+otpSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// Kept for an hour past expiry so the hourly send limit still sees them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
 const User = mongoose.model('User', userSchema);
 const Car = mongoose.model('Car', carSchema);
 const Booking = mongoose.model('Booking', bookingSchema);
 const Notification = mongoose.model('Notification', notificationSchema);
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+const Coupon = mongoose.model('Coupon', couponSchema);
+const Refund = mongoose.model('Refund', refundSchema);
+const Transaction = mongoose.model('Transaction', transactionSchema);
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+const Counter = mongoose.model('Counter', counterSchema);
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const Otp = mongoose.model('Otp', otpSchema);
 
 // ==================== MULTER SETUP ====================
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+// Multer storage engine that hands each upload to documentStorage. `file.path` is set to the storage
+// key, so route handlers store it on bookings and profiles the same way for every backend.
+const storage = {
+  _handleFile: (req, file, cb) => {
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const key = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase();
+      const buffer = Buffer.concat(chunks);
+      documentStorage.save(key, buffer, { contentType: file.mimetype })
+        .then(() => cb(null, { path: key, filename: key, size: buffer.length }))
+        .catch(cb);
+    });
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  _removeFile: (req, file, cb) => {
+    documentStorage.remove(file.path).then(() => cb(null)).catch(cb);
   }
-});
+};
 
 const upload = multer({
   storage: storage,
@@ -203,29 +1085,125 @@ const authenticate = async (req, res, next) => {
     if (!token) throw new Error('No token provided');
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.sessionId) throw new Error('Token has no session');
+
+    // Revoked or expired sessions reject their access tokens straight away, not when the JWT runs out
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || session.revokedAt || session.expiresAt < new Date() || session.userId.toString() !== decoded.userId) {
+      throw new Error('Session revoked');
+    }
+
     const user = await User.findById(decoded.userId);
 
     if (!user) throw new Error('User not found');
+    if (!user.active) throw new Error('Account deactivated');
 
     req.user = user;
     req.userId = user._id;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Please authenticate' });
   }
 };
 
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+const hasPermission = (user, permission) => {
+  return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: `Permission "${permission}" required` });
   }
   next();
 };
 
 // ==================== HELPER FUNCTIONS ====================
 
-const calculatePriceByDuration = (car, duration, withDriver) => {
+const SLOT_HOURS = 12;
+const HOUR_MS = 60 * 60 * 1000;
+
+const loadActivePricingRules = () => PricingRule.find({ active: true }).sort({ priority: -1 });
+
+const ruleMatchesCar = (rule, car) => {
+  if (rule.carTypes && rule.carTypes.length && !rule.carTypes.includes(car.type)) return false;
+  if (rule.brands && rule.brands.length &&
+      !rule.brands.some(brand => brand.toLowerCase() === (car.brand || '').toLowerCase())) return false;
+  return true;
+};
+
+const businessDayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: BUSINESS_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short'
+});
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Calendar date ('YYYY-MM-DD') and weekday (0 = Sunday) of an instant in BUSINESS_TIMEZONE
+const getBusinessDay = (time) => {
+  const parts = Object.fromEntries(businessDayFormat.formatToParts(time).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, weekday: WEEKDAY_INDEX[parts.weekday] };
+};
+
+// A date sent without a time ("2025-10-23") is stored as UTC midnight and means that whole business day
+const isDateOnly = (date) => {
+  return date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+};
+
+// Without a start time only rules with no date/weekday scope can apply
+const ruleMatchesTime = (rule, time) => {
+  const hasTimeScope = rule.startDate || rule.endDate || (rule.weekdays && rule.weekdays.length);
+  if (!time) return !hasTimeScope;
+
+  const day = getBusinessDay(time);
+  if (rule.startDate) {
+    const start = new Date(rule.startDate);
+    if (isDateOnly(start) ? day.date < start.toISOString().slice(0, 10) : time < start) return false;
+  }
+  if (rule.endDate) {
+    const end = new Date(rule.endDate);
+    if (isDateOnly(end) ? day.date > end.toISOString().slice(0, 10) : time > end) return false;
+  }
+  if (rule.weekdays && rule.weekdays.length && !rule.weekdays.includes(day.weekday)) return false;
+  return true;
+};
+
+// Splits the rental into 12-hour blocks and adjusts each block's share of the tier price
+// by the highest-priority rule matching that block
+const applyPricingRules = (car, tierPrice, duration, startTime, pricingRules) => {
+  const candidates = pricingRules
+    .filter(rule => rule.active !== false && ruleMatchesCar(rule, car))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  if (!candidates.length) return { basePrice: tierPrice, appliedRules: [] };
+
+  const blocks = Math.max(1, Math.ceil(duration / SLOT_HOURS));
+  const blockPrice = tierPrice / blocks;
+  const applied = new Map();
+
+  for (let i = 0; i < blocks; i++) {
+    const blockStart = startTime ? new Date(startTime.getTime() + i * SLOT_HOURS * HOUR_MS) : null;
+    const rule = candidates.find(r => ruleMatchesTime(r, blockStart));
+    if (!rule) continue;
+
+    const amount = rule.adjustmentType === 'percentage'
+      ? blockPrice * rule.value / 100
+      : rule.value * SLOT_HOURS / 24;
+
+    const key = rule._id ? rule._id.toString() : rule.name;
+    if (!applied.has(key)) {
+      applied.set(key, { ruleId: rule._id, name: rule.name, adjustmentType: rule.adjustmentType, value: rule.value, amount: 0 });
+    }
+    applied.get(key).amount += amount;
+  }
+
+  const appliedRules = [...applied.values()].map(r => ({ ...r, amount: Math.round(r.amount) }));
+  const adjustment = appliedRules.reduce((sum, r) => sum + r.amount, 0);
+
+  return { basePrice: Math.max(0, tierPrice + adjustment), appliedRules };
+};
+
+const calculatePriceByDuration = (car, duration, withDriver, { startTime = null, pricingRules = [] } = {}) => {
   let basePrice = 0;
+  let pricingTier = `price${duration}hr`;
   
   if (duration === 12) {
     basePrice = car.pricing.price12hr;
@@ -242,6 +1220,7 @@ const calculatePriceByDuration = (car, duration, withDriver) => {
   } else {
     const days = Math.ceil(duration / 24);
     basePrice = car.pricing.price24hr * days;
+    pricingTier = `price24hr x ${days} days`;
   }
   
   let driverCharges = 0;
@@ -249,729 +1228,4218 @@ const calculatePriceByDuration = (car, duration, withDriver) => {
     const days = Math.ceil(duration / 24);
     driverCharges = car.driverChargesPerDay * days;
   }
+
+  const tierPrice = basePrice;
+  const { basePrice: adjustedPrice, appliedRules } = applyPricingRules(car, tierPrice, duration, startTime, pricingRules);
   
-  return { basePrice, driverCharges };
+  return { basePrice: adjustedPrice, driverCharges, pricingTier, tierPrice, appliedRules };
 };
 
-const calculateTotalPrice = (car, duration, withDriver, homeDelivery, deliveryDistance) => {
-  const { basePrice, driverCharges } = calculatePriceByDuration(car, duration, withDriver);
-  let deliveryFee = 0;
-  
-  if (homeDelivery && deliveryDistance <= 5) {
-    deliveryFee = 500;
+// Free kilometres for a duration, following the same tiers as pricing; null means unlimited
+const calculateKmAllowance = (car, duration) => {
+  const allowance = car.kmAllowance || {};
+  if ([12, 24, 36, 48, 60, 72].includes(duration)) {
+    const tiered = allowance[`km${duration}hr`];
+    return tiered != null ? tiered : null;
   }
-  
-  return basePrice + driverCharges + deliveryFee;
+  return allowance.km24hr != null ? allowance.km24hr * Math.ceil(duration / 24) : null;
 };
 
-const calculateLateReturnFee = (scheduledEndTime, actualReturnTime, hourlyRate = 100) => {
-  if (actualReturnTime <= scheduledEndTime) return 0;
-  const lateMs = actualReturnTime - scheduledEndTime;
-  const lateHours = Math.ceil(lateMs / (1000 * 60 * 60));
-  return lateHours * hourlyRate;
+// Distance driven from the odometer readings and the charge for anything beyond the booking's allowance
+const calculateExcessKmCharge = (booking, endOdometer) => {
+  if (booking.startOdometer == null || endOdometer == null) {
+    return { distanceDriven: null, excessKm: 0, excessKmCharge: 0 };
+  }
+
+  const distanceDriven = endOdometer - booking.startOdometer;
+  if (booking.kmAllowance == null) {
+    return { distanceDriven, excessKm: 0, excessKmCharge: 0 };
+  }
+
+  const excessKm = Math.max(0, distanceDriven - booking.kmAllowance);
+  return { distanceDriven, excessKm, excessKmCharge: Math.round(excessKm * (booking.excessKmRate || 0)) };
 };
 
-const createNotification = async (userId, message, bookingId = null, type = 'general') => {
-  try {
-    const notification = new Notification({ userId, bookingId, message, type });
-    await notification.save();
-  } catch (error) {
-    console.error('Notification creation error:', error);
+const MAX_SERVICE_RADIUS_KM = DELIVERY_ZONES[DELIVERY_ZONES.length - 1].upToKm;
+
+// Used for both home delivery and return pickup
+const calculateHomeServiceFee = (requested, distanceKm) => {
+  if (!requested) return 0;
+
+  let fee = 0;
+  let lowerKm = 0;
+  for (const zone of DELIVERY_ZONES) {
+    if (lowerKm > 0 && distanceKm <= lowerKm) break;
+    const kmInZone = Math.max(0, Math.min(distanceKm, zone.upToKm) - lowerKm);
+    fee += (zone.baseFee || 0) + Math.ceil(kmInZone) * (zone.perKmRate || 0);
+    lowerKm = zone.upToKm;
   }
+  return fee;
 };
 
-// ==================== AUTH ROUTES ====================
+const validateHomeService = (requested, distanceKm, label) => {
+  if (!requested) return null;
+  if (isNaN(distanceKm) || distanceKm < 0) return `${label} distance is required`;
+  if (distanceKm > MAX_SERVICE_RADIUS_KM) return `${label} is only available within ${MAX_SERVICE_RADIUS_KM} km`;
+  return null;
+};
 
-app.post('/api/auth/register', async (req, res) => {
-  try {
-    const { name, email, password, mobile, role } = req.body;
+const calculatePriceBreakdown = (car, duration, withDriver, homeDelivery, deliveryDistance, options = {}) => {
+  const { homePickup = false, pickupDistance = 0, ...pricingOptions } = options;
+  const { basePrice, driverCharges, pricingTier, tierPrice, appliedRules } = calculatePriceByDuration(car, duration, withDriver, pricingOptions);
+  const deliveryFee = calculateHomeServiceFee(homeDelivery, deliveryDistance);
+  const pickupFee = calculateHomeServiceFee(homePickup, pickupDistance);
+
+  return {
+    pricingTier,
+    tierPrice,
+    appliedRules,
+    basePrice,
+    driverCharges,
+    deliveryFee,
+    pickupFee,
+    total: basePrice + driverCharges + deliveryFee + pickupFee,
+    securityDeposit: car.securityDeposit,
+    kmAllowance: calculateKmAllowance(car, duration),
+    excessKmRate: car.excessKmRate || 0
+  };
+};
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+// Recomputes a saved booking's total from its stored line items
+const calculateBookingTotal = (booking) => {
+  return booking.basePrice + booking.driverCharges + booking.deliveryFee + (booking.pickupFee || 0) -
+    (booking.couponDiscount || 0) + (booking.lateReturnFee || 0) + (booking.excessKmCharge || 0) + (booking.refuelCharge || 0);
+};
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, password: hashedPassword, mobile, role: role || 'customer' });
-    await user.save();
+// Statuses that hold a car for their startTime/endTime window
+const SLOT_HOLDING_STATUSES = ['pending', 'accepted', 'payment_pending', 'paid', 'active'];
 
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET, { expiresIn: '30d' });
+const findConflictingBooking = (carId, startTime, endTime, { excludeBookingId = null, statuses = SLOT_HOLDING_STATUSES } = {}) => {
+  const filter = {
+    carId,
+    status: { $in: statuses },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: { id: user._id, name: user.name, email: user.email, role: user.role }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  return Booking.findOne(filter).sort({ startTime: 1 });
+};
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+const getBookedIntervals = async (carId, from, to) => {
+  const bookings = await Booking.find({
+    carId,
+    status: { $in: SLOT_HOLDING_STATUSES },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  }).select('startTime endTime status').sort({ startTime: 1 });
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  return bookings.map(b => ({ startTime: b.startTime, endTime: b.endTime, status: b.status }));
+};
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+// Gaps between the (sorted) booked intervals, clipped to [from, to)
+const computeFreeIntervals = (booked, from, to) => {
+  const free = [];
+  let cursor = from;
+
+  for (const interval of booked) {
+    if (interval.startTime > cursor) {
+      free.push({ startTime: cursor, endTime: interval.startTime < to ? interval.startTime : to });
     }
+    if (interval.endTime > cursor) cursor = interval.endTime;
+    if (cursor >= to) break;
+  }
+  if (cursor < to) free.push({ startTime: cursor, endTime: to });
 
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET, { expiresIn: '30d' });
+  return free;
+};
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: { id: user._id, name: user.name, email: user.email, role: user.role }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+const computeSlots = (booked, from, to) => {
+  const slots = [];
+  for (let start = from.getTime(); start + SLOT_HOURS * HOUR_MS <= to.getTime(); start += SLOT_HOURS * HOUR_MS) {
+    const slotStart = new Date(start);
+    const slotEnd = new Date(start + SLOT_HOURS * HOUR_MS);
+    const available = !booked.some(b => b.startTime < slotEnd && b.endTime > slotStart);
+    slots.push({ startTime: slotStart, endTime: slotEnd, available });
   }
-});
+  return slots;
+};
 
-// ==================== CAR ROUTES ====================
+const calculateLateReturnFee = (scheduledEndTime, actualReturnTime, hourlyRate = 100) => {
+  if (actualReturnTime <= scheduledEndTime) return 0;
+  const lateMs = actualReturnTime - scheduledEndTime;
+  const lateHours = Math.ceil(lateMs / (1000 * 60 * 60));
+  return lateHours * hourlyRate;
+};
 
-app.get('/api/cars', async (req, res) => {
-  try {
-    const { type, available, fuelType, gearType } = req.query;
-    let filter = {};
+// Parses a handover/return checklist. `checklist` (JSON, or a JSON string in multipart forms) is keyed by
+// section and item; each value is a condition or { condition, notes, photos }, where photos are the
+// original names of files uploaded in the `photos` field. Unreferenced photos are kept as general photos.
+const parseInspection = (stage, body, files = []) => {
+  let checklist = body.checklist || {};
+  if (typeof checklist === 'string') {
+    try {
+      checklist = JSON.parse(checklist);
+    } catch (e) {
+      return { error: 'checklist must be valid JSON' };
+    }
+  }
 
-    if (type) filter.type = type;
-    if (available !== undefined) filter.available = available === 'true';
-    if (fuelType) filter.fuelType = fuelType;
-    if (gearType) filter.gearType = gearType;
+  const photosByName = new Map(files.map(file => [file.originalname, file.path]));
+  const usedPhotos = new Set();
+  const items = [];
 
-    const cars = await Car.find(filter).sort({ createdAt: -1 });
-    res.json({ cars });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  for (const [section, entries] of Object.entries(checklist)) {
+    if (!INSPECTION_CHECKLIST[section]) {
+      return { error: `Unknown checklist section "${section}". Use: ${Object.keys(INSPECTION_CHECKLIST).join(', ')}` };
+    }
+    for (const [item, value] of Object.entries(entries || {})) {
+      if (!INSPECTION_CHECKLIST[section].includes(item)) {
+        return { error: `Unknown ${section} item "${item}". Use: ${INSPECTION_CHECKLIST[section].join(', ')}` };
+      }
+      const entry = typeof value === 'string' ? { condition: value } : (value || {});
+      if (!INSPECTION_CONDITIONS.includes(entry.condition)) {
+        return { error: `Invalid condition for ${section}.${item}. Use: ${INSPECTION_CONDITIONS.join(', ')}` };
+      }
+
+      const photos = [];
+      for (const name of [].concat(entry.photos || [])) {
+        if (!photosByName.has(name)) {
+          return { error: `Photo "${name}" for ${section}.${item} was not uploaded` };
+        }
+        photos.push(photosByName.get(name));
+        usedPhotos.add(name);
+      }
+      items.push({ section, item, condition: entry.condition, notes: entry.notes, photos });
+    }
+  }
+
+  let fuelLevel;
+  if (body.fuelLevel !== undefined && body.fuelLevel !== '') {
+    fuelLevel = Number(body.fuelLevel);
+    if (isNaN(fuelLevel) || fuelLevel < 0 || fuelLevel > 100) {
+      return { error: 'fuelLevel must be a percentage between 0 and 100' };
+    }
+  }
+
+  return {
+    inspection: {
+      stage,
+      items,
+      fuelLevel,
+      photos: files.filter(file => !usedPhotos.has(file.originalname)).map(file => file.path),
+      notes: body.inspectionNotes
+    }
+  };
+};
+
+// Deletes uploads a handler rejected so they do not stay in storage without a record pointing at them
+const removeUploadedFiles = async (req) => {
+  const uploaded = [...(req.file ? [req.file] : []), ...Object.values(req.files || {}).flat()];
+  await Promise.all(uploaded.map(file => documentStorage.remove(file.path)
+    .catch(error => console.error('Upload cleanup error:', error))));
+};
+
+// Items reported in a worse condition at return than at handover; items never recorded at handover count as new
+const diffInspections = (handover, returned) => {
+  const before = new Map((handover ? handover.items : []).map(i => [`${i.section}.${i.item}`, i]));
+
+  return returned.items
+    .filter(i => i.condition !== 'ok')
+    .filter(i => {
+      const previous = before.get(`${i.section}.${i.item}`);
+      return !previous || previous.condition !== i.condition;
+    })
+    .map(i => {
+      const previous = before.get(`${i.section}.${i.item}`);
+      return {
+        section: i.section,
+        item: i.item,
+        handoverCondition: previous ? previous.condition : 'not_recorded',
+        returnCondition: i.condition,
+        notes: i.notes,
+        photos: i.photos
+      };
+    });
+};
+
+const parseDamageCharges = (value) => {
+  let charges = value || [];
+  if (typeof charges === 'string') {
+    try {
+      charges = JSON.parse(charges);
+    } catch (e) {
+      return { error: 'damageCharges must be valid JSON' };
+    }
+  }
+  if (!Array.isArray(charges)) return { error: 'damageCharges must be an array' };
+
+  for (const charge of charges) {
+    charge.amount = Number(charge.amount);
+    if (!charge.amount || charge.amount <= 0) return { error: 'Each damage charge needs an amount greater than zero' };
+    if (!charge.description && !charge.item) return { error: 'Each damage charge needs a description or checklist item' };
+  }
+  return { charges };
+};
+
+// Charges damages to the booking and takes them out of the security deposit; anything above the deposit
+// stays on the ledger as an outstanding balance. An empty list settles the deposit as fully refundable.
+const settleDeposit = async (booking, charges, userId) => {
+  const deposit = booking.depositAmount || 0;
+  const total = charges.reduce((sum, charge) => sum + charge.amount, 0);
+  const deduction = Math.min(total, deposit);
+
+  for (const charge of charges) {
+    booking.damageCharges.push({ ...charge, chargedBy: userId });
+    await recordLedgerEntry(booking, {
+      type: 'charge',
+      category: 'damage',
+      amount: charge.amount,
+      description: charge.description || `Damage: ${charge.item}`,
+      createdBy: userId
+    });
+  }
+
+  if (deduction > 0) {
+    await recordLedgerEntry(booking, {
+      type: 'payment',
+      category: 'damage',
+      amount: deduction,
+      description: 'Deducted from security deposit',
+      createdBy: userId
+    });
+  }
+
+  booking.depositDeduction = deduction;
+  booking.depositRefundAmount = deposit - deduction;
+  booking.depositStatus = deduction === 0 ? 'refunded' : deduction >= deposit ? 'retained' : 'partially_refunded';
+  booking.depositSettledAt = new Date();
+  booking.updatedAt = Date.now();
+
+  return { total, deduction, uncovered: total - deduction };
+};
+
+const calculateRefuelCharge = (fuelType, startLevel, endLevel) => {
+  if (startLevel == null || endLevel == null || endLevel >= startLevel) {
+    return { missing: 0, unit: null, charge: 0 };
+  }
+
+  const shortfall = startLevel - endLevel;
+  if (fuelType === 'ev') {
+    const missing = Math.ceil(shortfall);
+    return { missing, unit: 'percent', charge: missing * RECHARGE_FEE_PER_PERCENT };
+  }
+  const missing = Math.ceil(shortfall / 25);
+  return { missing, unit: 'quarter', charge: missing * REFUEL_FEE_PER_QUARTER };
+};
+
+// Personal details kept on the KYC profile and copied onto bookings
+const KYC_DETAIL_FIELDS = [
+  'fullName', 'guardianName', 'guardianRelation', 'residentialAddress', 'occupation',
+  'reference1Name', 'reference1Mobile', 'reference2Name', 'reference2Mobile',
+  'drivingLicenseNumber', 'licenseExpiryDate'
+];
+const KYC_DOCUMENT_FIELDS = { drivingLicense: 'drivingLicenseImage', aadharCard: 'aadharCardImage', livePhoto: 'livePhoto' };
+
+// Signed URLs for the KYC documents of a booking or profile; callers check access first
+const getDocumentUrls = (record) => {
+  return Object.fromEntries(
+    Object.entries(KYC_DOCUMENT_FIELDS).map(([document, field]) => [document, getSignedFileUrl(record[field])])
+  );
+};
+
+// Booking documents plus handover/return inspection photos
+const getBookingDocumentUrls = (booking) => ({
+  ...getDocumentUrls(booking),
+  inspections: (booking.inspections || []).map(inspection => ({
+    stage: inspection.stage,
+    photos: inspection.photos.map(photo => getSignedFileUrl(photo)),
+    items: inspection.items
+      .filter(item => item.photos.length > 0)
+      .map(item => ({ section: item.section, item: item.item, photos: item.photos.map(photo => getSignedFileUrl(photo)) }))
+  }))
+});
+
+// Profiles in these states can stand in for per-booking documents
+const KYC_USABLE_STATUSES = ['pending', 'verified'];
+
+// The driving licence must stay valid until the rental ends
+const isLicenceValidFor = (licenseExpiryDate, endTime) => {
+  return Boolean(licenseExpiryDate) && new Date(licenseExpiryDate) >= new Date(endTime);
+};
+
+// Rejects the booking's driving licence when it expires before endTime; returns true if it did
+const applyLicenceValidityCheck = (booking) => {
+  if (isLicenceValidFor(booking.licenseExpiryDate, booking.endTime)) return false;
+
+  booking.documentChecks.drivingLicense = {
+    status: 'rejected',
+    autoRejected: true,
+    reason: `Driving licence expires on ${new Date(booking.licenseExpiryDate).toISOString().slice(0, 10)}, before the rental ends on ${new Date(booking.endTime).toISOString().slice(0, 10)}`,
+    reviewedAt: new Date()
+  };
+  return true;
+};
+
+// Documents taken unchanged from a verified KYC profile count as verified on the booking
+const applyProfileDocumentChecks = (booking, kyc) => {
+  if (!booking.usedKycProfile || !kyc || kyc.status !== 'verified') return;
+
+  for (const [document, field] of Object.entries(KYC_DOCUMENT_FIELDS)) {
+    const check = booking.documentChecks[document];
+    if (check.status === 'pending' && booking[field] === kyc[field]) {
+      booking.documentChecks[document] = {
+        status: 'verified',
+        reason: 'Verified on KYC profile',
+        reviewedBy: kyc.verifiedBy,
+        reviewedAt: kyc.verifiedAt
+      };
+    }
+  }
+};
+
+// Applies an admin's { drivingLicense: { status, reason }, ... } review to a booking's documents
+const applyDocumentReview = (booking, documents, reviewerId) => {
+  for (const [document, review] of Object.entries(documents || {})) {
+    if (!KYC_DOCUMENT_FIELDS[document]) {
+      return { error: `Unknown document "${document}". Use: ${Object.keys(KYC_DOCUMENT_FIELDS).join(', ')}` };
+    }
+    if (!review || !['verified', 'rejected'].includes(review.status)) {
+      return { error: `Status for ${document} must be "verified" or "rejected"` };
+    }
+    if (review.status === 'rejected' && !review.reason) {
+      return { error: `A reason is required to reject ${document}` };
+    }
+    if (document === 'drivingLicense' && review.status === 'verified' && !isLicenceValidFor(booking.licenseExpiryDate, booking.endTime)) {
+      return { error: 'The driving licence expires before the rental ends and cannot be verified' };
+    }
+
+    booking.documentChecks[document] = {
+      status: review.status,
+      reason: review.reason,
+      reviewedBy: reviewerId,
+      reviewedAt: new Date()
+    };
+  }
+  return {};
+};
+
+const getUnverifiedDocuments = (booking) => {
+  return Object.keys(KYC_DOCUMENT_FIELDS)
+    .filter(document => booking.documentChecks[document].status !== 'verified')
+    .map(document => ({ document, ...booking.documentChecks[document].toObject() }));
+};
+
+const getMissingKycFields = (kyc) => {
+  return [...KYC_DETAIL_FIELDS, ...Object.values(KYC_DOCUMENT_FIELDS)].filter(field => !kyc[field]);
+};
+
+// Bookings in these statuses no longer count towards a coupon's usage limits
+const COUPON_RELEASED_STATUSES = ['declined', 'cancelled'];
+
+const validateCoupon = async (code, { car, duration, userId, subtotal }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.active) return { error: 'Invalid coupon code' };
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) return { error: 'Coupon is not active yet' };
+  if (coupon.validUntil && now > coupon.validUntil) return { error: 'Coupon has expired' };
+
+  if (coupon.minDuration && duration < coupon.minDuration) {
+    return { error: `Coupon requires a minimum rental of ${coupon.minDuration} hours` };
+  }
+  if (coupon.carTypes && coupon.carTypes.length && !coupon.carTypes.includes(car.type)) {
+    return { error: 'Coupon is not valid for this car' };
+  }
+
+  const usageFilter = { couponCode: coupon.code, status: { $nin: COUPON_RELEASED_STATUSES } };
+  if (coupon.usageLimit) {
+    const used = await Booking.countDocuments(usageFilter);
+    if (used >= coupon.usageLimit) return { error: 'Coupon usage limit reached' };
+  }
+  if (coupon.perUserLimit) {
+    const usedByUser = await Booking.countDocuments({ ...usageFilter, customerId: userId });
+    if (usedByUser >= coupon.perUserLimit) return { error: 'You have already used this coupon' };
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? Math.round(subtotal * coupon.value / 100)
+    : coupon.value;
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return { coupon, discount: Math.min(discount, subtotal) };
+};
+
+const getRefundPercent = (startTime, cancelTime = new Date()) => {
+  const hoursBeforeStart = (startTime - cancelTime) / HOUR_MS;
+  if (hoursBeforeStart < 0) return 0;
+
+  const tier = [...CANCELLATION_POLICY]
+    .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart)
+    .find(t => hoursBeforeStart >= t.minHoursBeforeStart);
+  return tier ? tier.refundPercent : 0;
+};
+
+const createPaymentOrder = async (booking, amount, { udf4, udf5 } = {}) => {
+  // Generate unique merchant order ID
+  const merchantOrderId = randomUUID();
+
+  // Redirect URL - where user returns after payment
+  const redirectUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/callback`;
+
+  const paymentResponse = await paymentGateway.pay({
+    merchantOrderId,
+    amount,
+    redirectUrl,
+    // Meta info for tracking
+    metaInfo: {
+      udf1: booking._id.toString(),
+      udf2: booking.carId.carName,
+      udf3: booking.customerId.toString(),
+      udf4,
+      udf5
+    }
+  });
+  return { merchantOrderId, paymentResponse };
+};
+
+// Applies a paid (or free) modification; the new window is re-checked since the slot was not held during payment
+const applyBookingModification = async (booking, modification, paymentDetails = {}) => {
+  // Only called once the difference (if any) has been paid
+  modification.amountPaid = modification.priceDifference;
+  if (modification.priceDifference > 0 && modification.merchantOrderId) {
+    await settleLedgerPayment(booking, modification.merchantOrderId, {
+      state: 'completed',
+      amount: modification.priceDifference,
+      category: 'extension',
+      ...paymentDetails
+    });
+  }
+
+  const conflict = await findConflictingBooking(booking.carId._id || booking.carId, modification.newStartTime, modification.newEndTime, {
+    excludeBookingId: booking._id
+  });
+
+  if (conflict) {
+    modification.status = 'failed';
+    modification.failureReason = 'Car was booked for the requested time while payment was pending';
+    if (modification.priceDifference > 0 && modification.merchantOrderId) {
+      const result = await initiateRefund(booking, modification.priceDifference, {
+        merchantOrderId: modification.merchantOrderId,
+        reason: modification.failureReason
+      }).catch(error => ({ error: error.message }));
+      if (result.error) console.error('Modification refund error:', result.error);
+    }
+  } else {
+    booking.startTime = modification.newStartTime;
+    booking.endTime = modification.newEndTime;
+    booking.duration = modification.newDuration;
+    booking.basePrice = modification.newBasePrice;
+    booking.tierPrice = modification.newTierPrice;
+    booking.driverCharges = modification.newDriverCharges;
+    booking.appliedPricingRules = modification.newAppliedPricingRules;
+    if (modification.newKmAllowance !== undefined) booking.kmAllowance = modification.newKmAllowance;
+    booking.totalPrice = calculateBookingTotal(booking);
+    modification.status = 'completed';
+
+    if (modification.priceDifference > 0) {
+      await recordLedgerEntry(booking, {
+        type: 'charge',
+        category: 'extension',
+        amount: modification.priceDifference,
+        description: `${modification.type === 'extension' ? 'Extension' : 'Date change'} to ${modification.newDuration}hrs`,
+        createdBy: modification.requestedBy
+      });
+    }
+  }
+
+  if (paymentDetails.phonePeOrderId) modification.phonePeOrderId = paymentDetails.phonePeOrderId;
+  if (paymentDetails.phonePeTransactionId) modification.phonePeTransactionId = paymentDetails.phonePeTransactionId;
+  modification.completedAt = new Date();
+  booking.updatedAt = Date.now();
+  await booking.save();
+
+  const carName = booking.carId.carName || 'your car';
+  const message = modification.status === 'completed'
+    ? `Your booking for ${carName} now runs until ${booking.endTime.toLocaleString()}.`
+    : `Your ${modification.type} for ${carName} could not be applied: ${modification.failureReason}.` +
+      (modification.priceDifference > 0 ? ` ₹${modification.priceDifference} will be refunded.` : '');
+  await createNotification(booking.customerId, message, booking._id, 'booking_update');
+
+  return modification;
+};
+
+const findModificationByOrder = async (merchantOrderId) => {
+  const booking = await Booking.findOne({ 'modifications.merchantOrderId': merchantOrderId }).populate('carId');
+  if (!booking) return { booking: null, modification: null };
+  return { booking, modification: booking.modifications.find(m => m.merchantOrderId === merchantOrderId) };
+};
+
+const REFUND_STATES = { PENDING: 'pending', CONFIRMED: 'accepted', ACCEPTED: 'accepted', COMPLETED: 'completed', FAILED: 'failed' };
+
+// Amount captured on one of the booking's PhonePe orders (the booking itself, a modification or a balance payment)
+const getOrderPaidAmount = async (booking, merchantOrderId) => {
+  const payment = await Transaction.findOne({ merchantOrderId, type: 'payment', status: 'completed' });
+  if (payment) return payment.amount;
+
+  if (merchantOrderId === booking.merchantOrderId) {
+    if (!['completed', 'partially_refunded', 'refunded'].includes(booking.paymentStatus)) return 0;
+    return booking.amountPaid ?? booking.totalPrice;
+  }
+  const modification = booking.modifications.find(m => m.merchantOrderId === merchantOrderId);
+  return modification ? (modification.amountPaid || 0) : 0;
+};
+
+const getRefundedAmount = async (merchantOrderId, states = ['pending', 'accepted', 'completed']) => {
+  const result = await Refund.aggregate([
+    { $match: { originalMerchantOrderId: merchantOrderId, state: { $in: states } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result[0]?.total || 0;
+};
+
+// Orders that paid for the booking itself (the rental and any extension or date change), with what each
+// captured and what can still be refunded on it. Orders from before the ledger come from the booking.
+const getPaidBookingOrders = async (booking) => {
+  const payments = await Transaction.find({
+    bookingId: booking._id,
+    type: 'payment',
+    category: { $in: ['rental', 'extension'] },
+    status: 'completed'
+  }).sort({ createdAt: 1 });
+
+  const orders = payments.map(payment => ({ merchantOrderId: payment.merchantOrderId, paid: payment.amount }));
+  const known = new Set(orders.map(order => order.merchantOrderId));
+  const legacyOrderIds = [
+    booking.merchantOrderId,
+    ...booking.modifications.filter(m => m.status === 'completed').map(m => m.merchantOrderId)
+  ];
+  for (const merchantOrderId of legacyOrderIds) {
+    if (!merchantOrderId || known.has(merchantOrderId)) continue;
+    const paid = await getOrderPaidAmount(booking, merchantOrderId);
+    if (paid > 0) orders.push({ merchantOrderId, paid });
+    known.add(merchantOrderId);
+  }
+
+  for (const order of orders) {
+    order.refunded = await getRefundedAmount(order.merchantOrderId);
+    order.refundable = Math.max(0, order.paid - order.refunded);
+  }
+  return orders;
+};
+
+const findBalancePaymentByOrder = async (merchantOrderId) => {
+  const payment = await Transaction.findOne({ merchantOrderId, type: 'payment', category: 'balance' });
+  if (!payment) return { booking: null, payment: null };
+  const booking = await Booking.findById(payment.bookingId).populate('carId');
+  return { booking, payment };
+};
+
+// create-order replaces booking.merchantOrderId on every attempt, so earlier orders are only found through
+// their ledger payment. Orders created before the ledger still fall back to the booking field.
+const findRentalPaymentByOrder = async (merchantOrderId) => {
+  const payment = await Transaction.findOne({ merchantOrderId, type: 'payment', category: 'rental' });
+  const booking = payment
+    ? await Booking.findById(payment.bookingId).populate('carId')
+    : await Booking.findOne({ merchantOrderId }).populate('carId');
+  return { booking, payment };
+};
+
+const applyBalancePaymentState = async (booking, payment, state, details = {}) => {
+  const update = { status: state, updatedAt: Date.now() };
+  if (details.phonePeOrderId) update.phonePeOrderId = details.phonePeOrderId;
+  if (details.phonePeTransactionId) update.phonePeTransactionId = details.phonePeTransactionId;
+
+  const settled = await Transaction.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!settled) return Transaction.findById(payment._id);
+
+  await createNotification(
+    booking.customerId,
+    state === 'completed'
+      ? `Payment of ₹${payment.amount} received for ${booking.carId.carName}. Thank you!`
+      : `Payment of ₹${payment.amount} for ${booking.carId.carName} failed. Please try again.`,
+    booking._id,
+    'payment'
+  );
+  return settled;
+};
+
+// Money captured for a modification that had already failed or expired: the booking stays as it is and the
+// payment is refunded in full. Completing the ledger payment is the claim, so this runs once per order.
+const refundLateModificationPayment = async (booking, modification, paymentIds) => {
+  const { merchantOrderId } = modification;
+  const update = { status: 'completed', updatedAt: Date.now() };
+  if (paymentIds.phonePeOrderId) update.phonePeOrderId = paymentIds.phonePeOrderId;
+  if (paymentIds.phonePeTransactionId) update.phonePeTransactionId = paymentIds.phonePeTransactionId;
+
+  let payment = await Transaction.findOneAndUpdate(
+    { merchantOrderId, type: 'payment', status: { $ne: 'completed' } },
+    { $set: update },
+    { new: true }
+  );
+  if (!payment && !(await Transaction.exists({ merchantOrderId, type: 'payment' }))) {
+    payment = await settleLedgerPayment(booking, merchantOrderId, {
+      state: 'completed', amount: modification.priceDifference, category: 'extension', ...paymentIds
+    });
+  }
+  if (!payment) {
+    return { kind: 'modification', booking, modification, changed: false, result: 'late modification payment already refunded' };
+  }
+
+  const refundResult = await initiateRefund(booking, payment.amount, {
+    merchantOrderId,
+    reason: `Payment received after the ${modification.type} request had lapsed`
+  }).catch(error => ({ error: error.message }));
+  if (refundResult.error) console.error('Late modification payment refund error:', refundResult.error);
+
+  await createNotification(
+    booking.customerId,
+    `We received ₹${payment.amount} for your ${modification.type} of ${booking.carId.carName}, but the request had already lapsed. Your booking is unchanged and a full refund has been initiated.`,
+    booking._id,
+    'payment'
+  );
+  return { kind: 'modification', booking, modification, changed: true, result: 'late modification payment refunded' };
+};
+
+// An older order completing after another order already paid the booking is a second capture: refund it in full
+const refundDuplicateRentalPayment = async (bookingId, merchantOrderId, paymentIds) => {
+  const booking = await Booking.findById(bookingId).populate('carId');
+  if (booking.merchantOrderId === merchantOrderId) {
+    return { kind: 'booking', booking, changed: false, result: `payment already applied (status ${booking.status})` };
+  }
+
+  const update = { status: 'completed', updatedAt: Date.now() };
+  if (paymentIds.phonePeOrderId) update.phonePeOrderId = paymentIds.phonePeOrderId;
+  if (paymentIds.phonePeTransactionId) update.phonePeTransactionId = paymentIds.phonePeTransactionId;
+  const payment = await Transaction.findOneAndUpdate(
+    { merchantOrderId, type: 'payment', category: 'rental', status: { $ne: 'completed' } },
+    { $set: update },
+    { new: true }
+  );
+  if (!payment) {
+    return { kind: 'booking', booking, changed: false, result: 'duplicate payment already refunded' };
+  }
+
+  // The payment and its refund cancel out on the ledger, so no credit is needed
+  const refundResult = await initiateRefund(booking, payment.amount, {
+    merchantOrderId,
+    reason: 'Duplicate payment for an already paid booking'
+  }).catch(error => ({ error: error.message }));
+  if (refundResult.error) console.error('Duplicate payment refund error:', refundResult.error);
+
+  await createNotification(
+    booking.customerId,
+    `We received a second payment of ₹${payment.amount} for ${booking.carId.carName}. Your booking was already paid, so a full refund has been initiated.`,
+    booking._id,
+    'payment'
+  );
+  return { kind: 'booking', booking, changed: true, result: 'duplicate payment refunded' };
+};
+
+// Applies a PhonePe order state (from a webhook, a status poll or reconciliation) to whichever booking,
+// modification or balance payment owns the order. Every transition is a conditional update, so
+// repeated or racing calls change nothing and notify nobody the second time.
+const applyOrderState = async (merchantOrderId, gatewayState, details = {}) => {
+  const paymentIds = {
+    phonePeOrderId: details.orderId,
+    phonePeTransactionId: details.paymentDetails?.[0]?.transactionId
+  };
+  if (!['COMPLETED', 'FAILED'].includes(gatewayState)) {
+    return { kind: null, changed: false, result: `state ${gatewayState} ignored` };
+  }
+  const completed = gatewayState === 'COMPLETED';
+
+  // Balance payments
+  const { booking: balanceBooking, payment: balancePayment } = await findBalancePaymentByOrder(merchantOrderId);
+  if (balancePayment) {
+    const before = balancePayment.status;
+    const payment = await applyBalancePaymentState(balanceBooking, balancePayment, completed ? 'completed' : 'failed', paymentIds);
+    return { kind: 'balance', booking: balanceBooking, payment, changed: before !== payment.status, result: `balance payment ${payment.status}` };
+  }
+
+  // Extension / date change payments
+  const { booking: modifiedBooking, modification } = await findModificationByOrder(merchantOrderId);
+  if (modification) {
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: modifiedBooking._id, modifications: { $elemMatch: { merchantOrderId, status: 'payment_pending' } } },
+      { $set: { 'modifications.$.status': completed ? 'completed' : 'failed' } },
+      { new: true }
+    ).populate('carId');
+    if (!claimed) {
+      if (completed && modification.status === 'failed') {
+        return refundLateModificationPayment(modifiedBooking, modification, paymentIds);
+      }
+      return { kind: 'modification', booking: modifiedBooking, modification, changed: false, result: `modification already ${modification.status}` };
+    }
+
+    const claimedModification = claimed.modifications.find(m => m.merchantOrderId === merchantOrderId);
+    if (completed) {
+      await applyBookingModification(claimed, claimedModification, paymentIds);
+    } else {
+      claimedModification.failureReason = 'Payment failed';
+      await claimed.save();
+      await settleLedgerPayment(claimed, merchantOrderId, { state: 'failed', amount: claimedModification.priceDifference, category: 'extension' });
+      await createNotification(
+        claimed.customerId,
+        `Payment for your ${claimedModification.type} of ${claimed.carId.carName} failed. Your booking is unchanged.`,
+        claimed._id,
+        'payment'
+      );
+    }
+    return { kind: 'modification', booking: claimed, modification: claimedModification, changed: true, result: `modification ${claimedModification.status}` };
+  }
+
+  // Initial rental payment
+  const { booking, payment: rentalPayment } = await findRentalPaymentByOrder(merchantOrderId);
+  if (!booking) return { kind: null, changed: false, result: 'no booking for order' };
+  const orderAmount = rentalPayment ? rentalPayment.amount : booking.totalPrice;
+
+  if (!completed) {
+    // A retry replaced this order; only its ledger payment fails, the booking waits for the newer order
+    if (booking.merchantOrderId !== merchantOrderId) {
+      const superseded = await Transaction.findOneAndUpdate(
+        { merchantOrderId, type: 'payment', status: 'pending' },
+        { $set: { status: 'failed', updatedAt: Date.now() } },
+        { new: true }
+      );
+      return { kind: 'booking', booking, changed: !!superseded, result: 'superseded order failed' };
+    }
+
+    const failed = await Booking.findOneAndUpdate(
+      { _id: booking._id, merchantOrderId, status: 'payment_pending', paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'failed', updatedAt: Date.now() } },
+      { new: true }
+    ).populate('carId');
+    if (!failed) return { kind: 'booking', booking, changed: false, result: `payment failure ignored in status ${booking.status}/${booking.paymentStatus}` };
+
+    await settleLedgerPayment(failed, merchantOrderId, { state: 'failed', amount: orderAmount, category: 'rental' });
+    await createNotification(failed.customerId, `Payment failed for ${failed.carId.carName}. Please try again.`, failed._id, 'payment');
+    return { kind: 'booking', booking: failed, changed: true, result: 'payment failed' };
+  }
+
+  // The captured order becomes the booking's order, even if a later retry had replaced it
+  const paidUpdate = {
+    paymentStatus: 'completed',
+    merchantOrderId,
+    amountPaid: orderAmount,
+    paymentDate: new Date(),
+    updatedAt: Date.now()
+  };
+  if (paymentIds.phonePeOrderId) paidUpdate.phonePeOrderId = paymentIds.phonePeOrderId;
+  if (paymentIds.phonePeTransactionId) paidUpdate.phonePeTransactionId = paymentIds.phonePeTransactionId;
+
+  const paid = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'payment_pending' },
+    { $set: { ...paidUpdate, status: 'paid' } },
+    { new: true }
+  ).populate('carId');
+
+  if (paid) {
+    await settleLedgerPayment(paid, merchantOrderId, { state: 'completed', amount: paid.amountPaid, category: 'rental', ...paymentIds });
+    await createNotification(
+      paid.customerId,
+      `Payment successful! ₹${paid.amountPaid} paid for ${paid.carId.carName}. Booking confirmed!`,
+      paid._id,
+      'payment'
+    );
+    return { kind: 'booking', booking: paid, changed: true, result: 'booking paid' };
+  }
+
+  // Money captured for a booking that was cancelled or declined meanwhile: keep the status, refund in full
+  const late = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: ['cancelled', 'declined'] }, paymentStatus: { $in: ['pending', 'failed'] } },
+    { $set: paidUpdate },
+    { new: true }
+  ).populate('carId');
+  if (!late) return refundDuplicateRentalPayment(booking._id, merchantOrderId, paymentIds);
+
+  await settleLedgerPayment(late, merchantOrderId, { state: 'completed', amount: late.amountPaid, category: 'rental', ...paymentIds });
+  await recordLedgerEntry(late, {
+    type: 'credit',
+    category: 'cancellation',
+    amount: late.amountPaid,
+    description: `Payment received after booking was ${late.status}`
+  });
+  const refundResult = await initiateRefund(late, late.amountPaid, { reason: `Payment received after booking was ${late.status}` })
+    .catch(error => ({ error: error.message }));
+  if (refundResult.error) console.error('Late payment refund error:', refundResult.error);
+
+  await createNotification(
+    late.customerId,
+    `We received ₹${late.amountPaid} for ${late.carId.carName}, but the booking was already ${late.status}. A full refund has been initiated.`,
+    late._id,
+    'payment'
+  );
+  return { kind: 'booking', booking: late, changed: true, result: `late payment on ${late.status} booking refunded` };
+};
+
+const initiateRefund = async (booking, amount, { merchantOrderId = booking.merchantOrderId, reason, purpose = 'rental', initiatedBy = null } = {}) => {
+  amount = Number(amount);
+  if (!merchantOrderId) return { error: 'No payment found for this booking' };
+  if (!amount || amount <= 0) return { error: 'Refund amount must be greater than zero' };
+
+  const refundable = await getOrderPaidAmount(booking, merchantOrderId) - await getRefundedAmount(merchantOrderId);
+  if (amount > refundable) {
+    return { error: `Refund amount exceeds the refundable balance of ₹${Math.max(0, refundable)}` };
+  }
+
+  const merchantRefundId = randomUUID();
+
+  const refundResponse = await paymentGateway.refund({
+    merchantRefundId,
+    originalMerchantOrderId: merchantOrderId,
+    amount
+  });
+
+  const refund = await Refund.create({
+    bookingId: booking._id,
+    customerId: booking.customerId._id || booking.customerId,
+    merchantRefundId,
+    originalMerchantOrderId: merchantOrderId,
+    phonePeRefundId: refundResponse.refundId,
+    amount,
+    purpose,
+    reason,
+    initiatedBy,
+    state: REFUND_STATES[refundResponse.state] || 'pending'
+  });
+
+  return { refund, refundResponse };
+};
+
+// Applies a refund state reported by PhonePe (webhook or status poll) to the Refund and its booking
+const applyRefundState = async (merchantRefundId, gatewayState, details = {}) => {
+  const state = REFUND_STATES[gatewayState];
+  if (!state) return Refund.findOne({ merchantRefundId });
+
+  // Only move forward from non-terminal states; concurrent or repeated updates find nothing to change
+  const update = { state, updatedAt: Date.now() };
+  if (details.refundId) update.phonePeRefundId = details.refundId;
+  if (details.errorCode) update.errorCode = details.errorCode;
+  if (state === 'completed') update.completedAt = new Date();
+
+  const refund = await Refund.findOneAndUpdate(
+    { merchantRefundId, state: { $nin: ['completed', 'failed', state] } },
+    { $set: update },
+    { new: true }
+  );
+  if (!refund) return Refund.findOne({ merchantRefundId });
+
+  const booking = await Booking.findById(refund.bookingId).populate('carId', 'carName');
+  if (!booking) return refund;
+
+  if (state === 'completed') {
+    if (refund.purpose === 'deposit') {
+      booking.depositStatus = 'refunded';
+    } else if (refund.originalMerchantOrderId === booking.merchantOrderId) {
+      const refunded = await getRefundedAmount(booking.merchantOrderId, ['completed']);
+      booking.paymentStatus = refunded >= await getOrderPaidAmount(booking, booking.merchantOrderId) ? 'refunded' : 'partially_refunded';
+    }
+    booking.updatedAt = Date.now();
+    await booking.save();
+
+    await issueCreditNote(refund, booking).catch(error => console.error('Credit note error:', error));
+
+    await createNotification(
+      booking.customerId,
+      `Refund of ₹${refund.amount} for ${booking.carId ? booking.carId.carName : 'your booking'} has been completed.`,
+      booking._id,
+      'payment'
+    );
+  } else if (state === 'failed') {
+    await createNotification(
+      booking.customerId,
+      `Refund of ₹${refund.amount} for ${booking.carId ? booking.carId.carName : 'your booking'} could not be processed. Our team will contact you.`,
+      booking._id,
+      'payment'
+    );
+  }
+
+  return refund;
+};
+
+const recordLedgerEntry = (booking, { type, category, amount, description, status, merchantOrderId, createdBy }) => {
+  return Transaction.create({
+    bookingId: booking._id,
+    customerId: booking.customerId._id || booking.customerId,
+    type, category, amount, description, status, merchantOrderId, createdBy
+  });
+};
+
+// Marks the payment entry for a PhonePe order completed/failed, creating it if the order predates the ledger
+const settleLedgerPayment = async (booking, merchantOrderId, { state, amount, category, phonePeOrderId, phonePeTransactionId }) => {
+  let payment = await Transaction.findOne({ merchantOrderId, type: 'payment' });
+  if (!payment) {
+    payment = new Transaction({
+      bookingId: booking._id,
+      customerId: booking.customerId._id || booking.customerId,
+      type: 'payment',
+      category,
+      amount,
+      merchantOrderId
+    });
+  }
+  payment.status = state;
+  if (phonePeOrderId) payment.phonePeOrderId = phonePeOrderId;
+  if (phonePeTransactionId) payment.phonePeTransactionId = phonePeTransactionId;
+  payment.updatedAt = Date.now();
+  await payment.save();
+  return payment;
+};
+
+// Bookings accepted before the ledger existed have no rental charge, and possibly no entries at all.
+// Derives whatever is missing (charges, captured payments, the cancellation write-off) from the booking
+// once, the first time its ledger is read, so balances and /ledger/pay amounts come out right.
+const backfillLedger = async (bookingId) => {
+  if (await Transaction.exists({ bookingId, type: 'charge', category: 'rental' })) return false;
+
+  const booking = await Booking.findById(bookingId).populate('carId', 'carName');
+  if (!booking || booking.ledgerBackfilledAt) return false;
+
+  const wasPaid = ['completed', 'partially_refunded', 'refunded'].includes(booking.paymentStatus);
+  const accepted = ['payment_pending', 'paid', 'active', 'completed'].includes(booking.status) ||
+    (booking.status === 'cancelled' && wasPaid);
+  if (!accepted) return false;
+
+  // Claim the booking so concurrent reads do not derive the entries twice
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, ledgerBackfilledAt: { $exists: false } },
+    { $set: { ledgerBackfilledAt: new Date() } }
+  );
+  if (!claimed) return false;
+
+  const existing = await Transaction.find({ bookingId: booking._id });
+  const hasCharge = (category) => existing.some(t => t.type === 'charge' && t.category === category);
+  const hasPayment = (merchantOrderId) => existing.some(t => t.type === 'payment' && t.merchantOrderId === merchantOrderId);
+  const carName = booking.carId ? booking.carId.carName : 'car';
+  const acceptedAt = booking.reviewedAt || booking.createdAt;
+  const entries = [];
+  const addEntry = (entry) => entries.push({
+    bookingId: booking._id,
+    customerId: booking.customerId,
+    status: 'completed',
+    ...entry,
+    description: `${entry.description} (from booking record)`
+  });
+
+  // totalPrice already includes everything below; the rental charge is what is left of it
+  const completedModifications = booking.modifications.filter(m => m.status === 'completed' && m.priceDifference > 0);
+  const extras = [
+    { category: 'late_fee', amount: booking.lateReturnFee || 0, description: `Late return (${booking.lateHours} hours)` },
+    { category: 'excess_km', amount: booking.excessKmCharge || 0, description: `${booking.excessKm} km over the allowance` },
+    { category: 'fuel', amount: booking.refuelCharge || 0, description: 'Refuelling' }
+  ];
+  const extensionTotal = completedModifications.reduce((total, m) => total + m.priceDifference, 0);
+  const rentalAmount = Math.max(0, booking.totalPrice - extensionTotal - extras.reduce((total, e) => total + e.amount, 0));
+
+  addEntry({ type: 'charge', category: 'rental', amount: rentalAmount, description: `${booking.duration}hr rental of ${carName}`, createdAt: acceptedAt });
+  if (!hasCharge('extension')) {
+    for (const modification of completedModifications) {
+      addEntry({
+        type: 'charge',
+        category: 'extension',
+        amount: modification.priceDifference,
+        description: `${modification.type === 'extension' ? 'Extension' : 'Date change'} to ${modification.newDuration}hrs`,
+        createdAt: modification.completedAt || modification.createdAt
+      });
+    }
+  }
+  for (const extra of extras) {
+    if (extra.amount > 0 && !hasCharge(extra.category)) {
+      addEntry({ type: 'charge', ...extra, createdAt: booking.actualReturnTime || booking.updatedAt });
+    }
+  }
+
+  if (wasPaid && booking.merchantOrderId && !hasPayment(booking.merchantOrderId)) {
+    addEntry({
+      type: 'payment',
+      category: 'rental',
+      amount: booking.amountPaid ?? rentalAmount,
+      description: 'Rental payment',
+      merchantOrderId: booking.merchantOrderId,
+      phonePeOrderId: booking.phonePeOrderId,
+      phonePeTransactionId: booking.phonePeTransactionId,
+      createdAt: booking.paymentDate || acceptedAt
+    });
+  }
+  for (const modification of completedModifications) {
+    if (modification.amountPaid > 0 && modification.merchantOrderId && !hasPayment(modification.merchantOrderId)) {
+      addEntry({
+        type: 'payment',
+        category: 'extension',
+        amount: modification.amountPaid,
+        description: `${modification.type === 'extension' ? 'Extension' : 'Date change'} payment`,
+        merchantOrderId: modification.merchantOrderId,
+        createdAt: modification.completedAt || modification.createdAt
+      });
+    }
+  }
+
+  // A cancelled booking keeps only what the policy retained; write off the rest as the cancel route does
+  if (booking.status === 'cancelled') {
+    const all = [...existing.map(t => t.toObject()), ...entries];
+    const sum = (items) => items.reduce((total, item) => total + item.amount, 0);
+    const charges = sum(all.filter(t => t.type === 'charge'));
+    const credits = sum(all.filter(t => t.type === 'credit'));
+    const payments = sum(all.filter(t => t.type === 'payment' && t.status === 'completed'));
+    const refunded = sum(await Refund.find({ bookingId: booking._id, state: { $ne: 'failed' } }).lean());
+    const writeOff = charges - credits - (payments - refunded);
+    if (writeOff > 0) {
+      addEntry({
+        type: 'credit',
+        category: 'cancellation',
+        amount: writeOff,
+        description: `Cancellation (${booking.refundPercent ?? 0}% refund)`,
+        createdAt: booking.cancelledAt || booking.updatedAt
+      });
+    }
+  }
+
+  await Transaction.insertMany(entries);
+  return true;
+};
+
+// Positive balance = customer owes us, negative = we owe the customer
+const getBookingLedger = async (bookingId) => {
+  await backfillLedger(bookingId);
+
+  const [transactions, refunds] = await Promise.all([
+    Transaction.find({ bookingId }).sort({ createdAt: 1 }).lean(),
+    Refund.find({ bookingId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const sum = (items) => items.reduce((total, item) => total + item.amount, 0);
+  const charges = sum(transactions.filter(t => t.type === 'charge'));
+  const credits = sum(transactions.filter(t => t.type === 'credit'));
+  const payments = sum(transactions.filter(t => t.type === 'payment' && t.status === 'completed'));
+  const refunded = sum(refunds.filter(r => r.state !== 'failed'));
+
+  const entries = [
+    ...transactions,
+    ...refunds.map(r => ({
+      _id: r._id,
+      type: 'refund',
+      category: r.purpose,
+      amount: r.amount,
+      description: r.reason,
+      merchantRefundId: r.merchantRefundId,
+      status: r.state,
+      createdAt: r.createdAt
+    }))
+  ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  return {
+    entries,
+    summary: { charges, credits, payments, refunds: refunded, balance: charges - credits - payments + refunded }
+  };
+};
+
+// Indian financial year (April-March) in short form, e.g. 2526 for FY 2025-26, by the date in BUSINESS_TIMEZONE
+const getFinancialYear = (date = new Date()) => {
+  const [year, month] = getBusinessDay(date).date.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${String(startYear).slice(2)}${String(startYear + 1).slice(2)}`;
+};
+
+// Sequential per-year numbering, e.g. INV/2526/00042 (GST invoice numbers must be unique and at most 16 characters).
+// Only call it for a document that is already stored (see saveTaxDocument), or a failed insert leaves a gap.
+const nextDocumentNumber = async (prefix, date = new Date()) => {
+  const series = `${prefix}/${getFinancialYear(date)}`;
+  const counter = await Counter.findOneAndUpdate(
+    { _id: series },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${series}/${String(counter.seq).padStart(5, '0')}`;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Splits a GST-inclusive amount into taxable value and CGST+SGST (intra-state) or IGST (inter-state)
+const splitGst = (amount, interState) => {
+  const taxableValue = roundMoney(amount * 100 / (100 + GST_RATE));
+  const tax = roundMoney(amount - taxableValue);
+  if (interState) {
+    return { amount, taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = roundMoney(tax / 2);
+  return { amount, taxableValue, cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+};
+
+const buildTaxDocument = (booking, lines) => {
+  const placeOfSupply = booking.customerGstin ? booking.customerGstin.slice(0, 2) : COMPANY_DETAILS.stateCode;
+  const interState = placeOfSupply !== COMPANY_DETAILS.stateCode;
+  const lineItems = lines
+    .filter(line => line.amount)
+    .map(line => ({ description: line.description, sac: line.sac, ...splitGst(line.amount, interState) }));
+  const sum = (field) => roundMoney(lineItems.reduce((total, line) => total + line[field], 0));
+
+  return {
+    bookingId: booking._id,
+    customerId: booking.customerId._id || booking.customerId,
+    supplier: COMPANY_DETAILS,
+    recipient: {
+      name: booking.fullName,
+      address: booking.residentialAddress,
+      email: booking.email,
+      mobile: booking.mobile,
+      gstin: booking.customerGstin
+    },
+    placeOfSupply,
+    interState,
+    gstRate: GST_RATE,
+    lineItems,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total: sum('amount')
+  };
+};
+
+const renderInvoicePdf = (invoice, originalInvoice = null) => new Promise((resolve, reject) => {
+  const filePath = path.join(INVOICE_DIR, `${invoice.number.replace(/\//g, '-')}.pdf`);
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', () => resolve(filePath));
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  const money = (value) => value.toFixed(2);
+  const isCreditNote = invoice.documentType === 'credit_note';
+
+  doc.fontSize(18).text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11).text(invoice.supplier.name, { continued: false });
+  doc.fontSize(9);
+  if (invoice.supplier.address) doc.text(invoice.supplier.address);
+  doc.text(`GSTIN: ${invoice.supplier.gstin || 'Not registered'}`);
+  doc.text(`State Code: ${invoice.supplier.stateCode}`);
+  doc.moveDown();
+
+  doc.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.number}`);
+  doc.text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`);
+  if (isCreditNote && originalInvoice) {
+    doc.text(`Against Invoice: ${originalInvoice.number} dated ${originalInvoice.issuedAt.toISOString().slice(0, 10)}`);
+  }
+  doc.text(`Place of Supply (State Code): ${invoice.placeOfSupply}`);
+  doc.text(`Booking Reference: ${invoice.bookingId}`);
+  doc.moveDown();
+
+  doc.fontSize(10).text('Bill To:');
+  doc.fontSize(9).text(invoice.recipient.name || '');
+  if (invoice.recipient.address) doc.text(invoice.recipient.address);
+  if (invoice.recipient.mobile || invoice.recipient.email) {
+    doc.text([invoice.recipient.mobile, invoice.recipient.email].filter(Boolean).join(' | '));
+  }
+  if (invoice.recipient.gstin) doc.text(`GSTIN: ${invoice.recipient.gstin}`);
+  doc.moveDown();
+
+  const columns = invoice.interState
+    ? [['#', 40, 20], ['Description', 60, 215], ['SAC', 275, 50], ['Taxable', 325, 70], [`IGST ${invoice.gstRate}%`, 395, 70], ['Amount', 465, 90]]
+    : [['#', 40, 20], ['Description', 60, 185], ['SAC', 245, 45], ['Taxable', 290, 65], [`CGST ${invoice.gstRate / 2}%`, 355, 60], [`SGST ${invoice.gstRate / 2}%`, 415, 60], ['Amount', 475, 80]];
+  const row = (values, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const heights = values.map((value, i) => {
+      const [, x, width] = columns[i];
+      doc.text(String(value), x, y, { width, align: i >= 3 ? 'right' : 'left' });
+      return doc.y - y;
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  row(columns.map(column => column[0]), true);
+  invoice.lineItems.forEach((line, i) => {
+    row(invoice.interState
+      ? [i + 1, line.description, line.sac, money(line.taxableValue), money(line.igst), money(line.amount)]
+      : [i + 1, line.description, line.sac, money(line.taxableValue), money(line.cgst), money(line.sgst), money(line.amount)]);
+  });
+  doc.moveTo(40, doc.y).lineTo(555, doc.y).stroke();
+  doc.y += 4;
+  row(invoice.interState
+    ? ['', 'Total', '', money(invoice.taxableValue), money(invoice.igst), money(invoice.total)]
+    : ['', 'Total', '', money(invoice.taxableValue), money(invoice.cgst), money(invoice.sgst), money(invoice.total)], true);
+
+  doc.font('Helvetica').moveDown();
+  doc.text(`${isCreditNote ? 'Amount credited' : 'Amount payable'} (inclusive of GST): Rs. ${money(invoice.total)}`, 40);
+  if (invoice.reason) doc.text(`Reason: ${invoice.reason}`, 40);
+  doc.moveDown();
+  doc.fontSize(8).text('This is a computer-generated document and does not require a signature.', 40);
+
+  doc.end();
+});
+
+// Writes the PDF for a stored invoice / credit note; also used to recreate a file missing from disk
+const writeInvoiceFile = async (invoice) => {
+  const originalInvoice = invoice.originalInvoiceId ? await Invoice.findById(invoice.originalInvoiceId) : null;
+  invoice.filePath = await renderInvoicePdf(invoice, originalInvoice);
+  await invoice.save();
+  return invoice;
+};
+
+// Inserts the document under a placeholder number first: the unique booking/refund indexes then reject a
+// concurrent duplicate before it uses up a number, and the real number is only drawn for the winner
+const saveTaxDocument = async (prefix, data) => {
+  const document = await Invoice.create({ ...data, number: `${prefix}/PENDING/${new mongoose.Types.ObjectId()}` });
+  try {
+    document.number = await nextDocumentNumber(prefix, document.issuedAt);
+    await document.save();
+  } catch (error) {
+    await Invoice.deleteOne({ _id: document._id });
+    throw error;
+  }
+  return writeInvoiceFile(document);
+};
+
+// Issues the booking's tax invoice once it is completed and its deposit settled; returns the existing one if already issued
+const issueInvoice = async (booking) => {
+  const existing = await Invoice.findOne({ bookingId: booking._id, documentType: 'invoice' });
+  if (existing) return existing;
+
+  const sac = booking.withDriver ? SAC_CODES.withDriver : SAC_CODES.selfDrive;
+  const carName = booking.carId && booking.carId.carName ? booking.carId.carName : 'Car';
+  // The coupon lowers the taxable value of what was booked (the rental first) rather than being a line of its own
+  let discount = booking.couponDiscount || 0;
+  const bookedLines = [
+    { description: `${carName} rental, ${booking.duration} hours (${new Date(booking.startTime).toISOString().slice(0, 10)})`, amount: booking.basePrice },
+    { description: 'Driver charges', amount: booking.driverCharges },
+    { description: 'Home delivery', amount: booking.deliveryFee },
+    { description: 'Return pickup', amount: booking.pickupFee }
+  ].map(line => {
+    const applied = Math.min(discount, line.amount || 0);
+    discount -= applied;
+    if (!applied) return line;
+    return {
+      description: `${line.description}, less discount of Rs. ${applied}${booking.couponCode ? ` (${booking.couponCode})` : ''}`,
+      amount: line.amount - applied
+    };
+  });
+  const lines = [
+    ...bookedLines,
+    { description: `Late return fee (${booking.lateHours} hours)`, amount: booking.lateReturnFee },
+    { description: `Excess distance (${booking.excessKm} km)`, amount: booking.excessKmCharge },
+    { description: 'Refuelling / recharge', amount: booking.refuelCharge },
+    ...booking.damageCharges.map(charge => ({
+      description: `Damage: ${charge.description || charge.item} (deducted from deposit)`,
+      amount: charge.amount
+    }))
+  ].map(line => ({ ...line, sac }));
+
+  return saveTaxDocument('INV', {
+    ...buildTaxDocument(booking, lines),
+    documentType: 'invoice'
+  });
+};
+
+// Credit note for a completed rental refund on an invoiced booking; refunds before invoicing need none
+const issueCreditNote = async (refund, booking) => {
+  if (refund.purpose === 'deposit') return null;
+
+  const existing = await Invoice.findOne({ refundId: refund._id });
+  if (existing) return existing;
+
+  const invoice = await Invoice.findOne({ bookingId: booking._id, documentType: 'invoice' });
+  if (!invoice) return null;
+
+  const sac = booking.withDriver ? SAC_CODES.withDriver : SAC_CODES.selfDrive;
+  return saveTaxDocument('CN', {
+    ...buildTaxDocument(booking, [{ description: `Refund against invoice ${invoice.number}`, sac, amount: refund.amount }]),
+    documentType: 'credit_note',
+    originalInvoiceId: invoice._id,
+    refundId: refund._id,
+    reason: refund.reason
+  });
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createNotification = async (userId, message, bookingId = null, type = 'general') => {
+  try {
+    const notification = new Notification({ userId, bookingId, message, type });
+    await notification.save();
+  } catch (error) {
+    console.error('Notification creation error:', error);
+  }
+};
+
+// Active staff whose role grants the permission, e.g. everyone who should hear about bookings awaiting review
+const findUsersWithPermission = (permission) => {
+  const roles = ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+  return User.find({ role: { $in: roles }, active: { $ne: false } }).select('_id');
+};
+
+const toUserSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: ROLE_PERMISSIONS[user.role] || []
+});
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are `<sessionId>.<secret>` so the session can be found without scanning hashes
+const signTokens = (session, user, secret) => ({
+  token: jwt.sign({ userId: user._id, sessionId: session._id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+});
+
+const openSession = async (user, req) => {
+  const secret = randomBytes(32).toString('base64url');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * HOUR_MS)
+  });
+  return signTokens(session, user, secret);
+};
+
+// Swaps the session's refresh token for a new one, but only if `hash` is still the current token of a live
+// session; of two concurrent refreshes with the same token exactly one wins. Returns null otherwise.
+const rotateRefreshToken = async (sessionId, hash) => {
+  const secret = randomBytes(32).toString('base64url');
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { refreshTokenHash: hashToken(secret), lastUsedAt: now }, $push: { retiredRefreshTokenHashes: hash } },
+    { new: true }
+  );
+  return session ? { session, secret } : null;
+};
+
+// Revokes every open session of a user, optionally keeping one (e.g. the device that changed the password)
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const hashOtpCode = (otpId, code) => createHmac('sha256', JWT_SECRET).update(`${otpId}:${code}`).digest('hex');
+
+// The account an OTP request is for, by email or mobile. Mobile numbers are not unique, so a number
+// shared by several accounts cannot pick one and is treated like an unregistered number.
+const findOtpUser = async ({ email, mobile }) => {
+  if (email) {
+    return { user: await User.findOne({ email, active: { $ne: false } }) };
+  }
+  if (!mobile) {
+    return { error: 'Provide a mobile number' };
+  }
+  const users = await User.find({ mobile: String(mobile).trim(), active: { $ne: false } }).limit(2);
+  return { user: users.length === 1 ? users[0] : null };
+};
+
+// Sends a fresh code to the user's mobile, replacing any unused one for the same purpose
+const issueOtp = async (user, purpose) => {
+  const now = new Date();
+  const recent = await Otp.find({ userId: user._id, purpose, createdAt: { $gt: new Date(now.getTime() - HOUR_MS) } })
+    .sort({ createdAt: -1 });
+
+  if (recent.length) {
+    const retryAfter = Math.ceil((recent[0].createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now.getTime()) / 1000);
+    if (retryAfter > 0) {
+      return { error: `Please wait ${retryAfter} seconds before requesting another code`, retryAfter };
+    }
+  }
+  if (recent.length >= OTP_MAX_PER_HOUR) {
+    const retryAfter = Math.ceil((recent[OTP_MAX_PER_HOUR - 1].createdAt.getTime() + HOUR_MS - now.getTime()) / 1000);
+    return { error: 'Too many codes requested. Please try again later', retryAfter };
+  }
+
+  await Otp.updateMany({ userId: user._id, purpose, consumedAt: { $exists: false } }, { consumedAt: now });
+
+  const code = String(randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  const otp = new Otp({
+    userId: user._id,
+    purpose,
+    sentTo: user.mobile,
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000)
+  });
+  otp.codeHash = hashOtpCode(otp._id, code);
+  await otp.save();
+
+  const action = purpose === 'login' ? 'login' : 'password reset';
+  try {
+    await smsSender.send({
+      to: user.mobile,
+      message: `${code} is your ${COMPANY_DETAILS.name} ${action} code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    });
+  } catch (error) {
+    await Otp.deleteOne({ _id: otp._id });
+    throw error;
+  }
+
+  return { otp };
+};
+
+// Every failure gives the same answer, so it cannot tell apart registered and unregistered numbers
+const OTP_INVALID_ERROR = 'Invalid or expired code. Check the code or request a new one';
+
+// Checks a code against the user's latest unused OTP; each wrong guess uses up an attempt. Both updates
+// are conditional, so concurrent guesses cannot exceed OTP_MAX_ATTEMPTS or use one code twice.
+const verifyOtp = async (user, purpose, code) => {
+  const now = new Date();
+  const otp = await Otp.findOne({
+    userId: user._id,
+    purpose,
+    consumedAt: { $exists: false },
+    expiresAt: { $gt: now },
+    attempts: { $lt: OTP_MAX_ATTEMPTS }
+  }).sort({ createdAt: -1 });
+  if (!otp) return { error: OTP_INVALID_ERROR };
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const given = Buffer.from(hashOtpCode(otp._id, String(code || '').trim()), 'hex');
+  if (!timingSafeEqual(given, expected)) {
+    await Otp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } }
+    );
+    return { error: OTP_INVALID_ERROR };
+  }
+
+  const consumed = await Otp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: { $exists: false }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $set: { consumedAt: now } },
+    { new: true }
+  );
+  return consumed ? { otp: consumed } : { error: OTP_INVALID_ERROR };
+};
+
+// Creates the first admin from BOOTSTRAP_ADMIN_EMAIL / BOOTSTRAP_ADMIN_PASSWORD while there is none.
+// Registration only ever creates customers, so this is how a new deployment gets its first admin.
+// It never promotes an existing account: whoever registered that email first does not know this password.
+const ensureBootstrapAdmin = async () => {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+  if (!email || !password) return;
+
+  if (await User.exists({ role: 'admin', active: { $ne: false } })) return;
+
+  if (await User.exists({ email })) {
+    console.error(`Bootstrap admin not created: ${email} is already registered. Set BOOTSTRAP_ADMIN_EMAIL to an unused email.`);
+    return;
+  }
+
+  await User.create({
+    name: process.env.BOOTSTRAP_ADMIN_NAME || 'Administrator',
+    email,
+    password: await bcrypt.hash(password, 10),
+    mobile: process.env.BOOTSTRAP_ADMIN_MOBILE || '0000000000',
+    role: 'admin'
+  });
+  console.log(`Bootstrap admin: ${email}`);
+};
+
+// ==================== AUTH ROUTES ====================
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    // Self-registration always creates a customer; staff accounts come from /api/admin/users
+    const { name, email, password, mobile } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = new User({ name, email, password: hashedPassword, mobile, role: 'customer' });
+    await user.save();
+
+    const tokens = await openSession(user, req);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      ...tokens,
+      user: toUserSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
+
+    const tokens = await openSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: toUserSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exchanges a refresh token for a new access token and a new refresh token; the old one stops working
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const [sessionId, secret] = String(req.body.refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const hash = hashToken(secret);
+    const rotated = await rotateRefreshToken(sessionId, hash);
+    if (!rotated) {
+      const session = await Session.findById(sessionId);
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res.status(401).json({ error: 'Session expired or revoked. Please log in again' });
+      }
+      // Any rotated token coming back means it was copied; end the session for every holder
+      if (session.retiredRefreshTokenHashes.includes(hash)) {
+        await Session.updateOne(
+          { _id: session._id, revokedAt: { $exists: false } },
+          { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+        );
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(rotated.session.userId);
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Please authenticate' });
+    }
+
+    res.json({ ...signTokens(rotated.session, user, rotated.secret), user: toUserSummary(user) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sends a login code to the account registered with this mobile number
+app.post('/api/auth/otp/request', async (req, res) => {
+  try {
+    const { user, error } = await findOtpUser({ mobile: req.body.mobile });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Unknown numbers, rate-limited requests and failed sends get the same answer, so the endpoint
+    // does not reveal who is registered
+    if (user) {
+      await issueOtp(user, 'login').catch(error => console.error('OTP send error:', error.message));
+    }
+
+    res.json({
+      message: 'If an account uses this number, a login code has been sent',
+      expiresIn: OTP_TTL_MINUTES * 60,
+      resendAfter: OTP_RESEND_SECONDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Passwordless login with the code from /api/auth/otp/request
+app.post('/api/auth/otp/verify', async (req, res) => {
+  try {
+    const { mobile, code } = req.body;
+
+    const { user, error } = await findOtpUser({ mobile });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!user) {
+      return res.status(401).json({ error: OTP_INVALID_ERROR });
+    }
+
+    const result = await verifyOtp(user, 'login', code);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const tokens = await openSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: toUserSummary(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sends a password reset code to the mobile number of the account with this email or mobile
+app.post('/api/auth/password/forgot', async (req, res) => {
+  try {
+    const { email, mobile } = req.body;
+
+    const { user, error } = await findOtpUser({ email, mobile });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (user) {
+      await issueOtp(user, 'password_reset').catch(error => console.error('OTP send error:', error.message));
+    }
+
+    res.json({
+      message: 'If the account exists, a reset code has been sent to its mobile number',
+      expiresIn: OTP_TTL_MINUTES * 60,
+      resendAfter: OTP_RESEND_SECONDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sets a new password with the reset code and logs the account out everywhere
+app.post('/api/auth/password/reset', async (req, res) => {
+  try {
+    const { email, mobile, code, newPassword } = req.body;
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const { user, error } = await findOtpUser({ email, mobile });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!user) {
+      return res.status(400).json({ error: OTP_INVALID_ERROR });
+    }
+
+    const result = await verifyOtp(user, 'password_reset', code);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeUserSessions(user._id, 'password_reset');
+
+    await createNotification(user._id, 'Your password was reset and all devices were logged out.', null, 'general');
+
+    res.json({ message: 'Password reset. Please log in with your new password' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changes the password of the logged-in user; other devices are logged out, this one stays in
+app.put('/api/auth/password', authenticate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const isMatch = await bcrypt.compare(String(currentPassword || ''), req.user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    req.user.password = await bcrypt.hash(newPassword, 10);
+    await req.user.save();
+    const revoked = await revokeUserSessions(req.userId, 'password_changed', req.authSession._id);
+
+    await createNotification(req.userId, 'Your password was changed. Other devices have been logged out.', null, 'general');
+
+    res.json({ message: 'Password changed', revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Logs out every device, including this one
+app.post('/api/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.userId, 'logout_all');
+
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== USER MANAGEMENT ROUTES ====================
+
+app.get('/api/admin/roles', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    res.json({ roles: ROLE_PERMISSIONS, permissions: PERMISSIONS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/users', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { role, active, search } = req.query;
+    let filter = {};
+    if (role) filter.role = role;
+    if (active !== undefined) filter.active = active === 'true' ? { $ne: false } : false;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { mobile: pattern }];
+    }
+
+    const users = await User.find(filter)
+      .select('name email mobile role active createdAt kyc.status')
+      .sort({ createdAt: -1 });
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates a staff (or customer) account with a chosen role
+app.post('/api/admin/users', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { name, email, password, mobile, role } = req.body;
+
+    if (!name || !email || !password || !mobile) {
+      return res.status(400).json({ error: 'name, email, password and mobile are required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}` });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = new User({ name, email, password: hashedPassword, mobile, role });
+    await user.save();
+
+    res.status(201).json({ message: 'User created', user: { ...toUserSummary(user), mobile: user.mobile, active: user.active } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changes a user's name, mobile, role or active flag. Admins cannot demote or deactivate themselves,
+// so there is always at least one admin left.
+app.put('/api/admin/users/:id', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { name, mobile, role, active } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}` });
+    }
+
+    const isSelf = user._id.toString() === req.userId.toString();
+    if (isSelf && ((role !== undefined && role !== user.role) || active === false || active === 'false')) {
+      return res.status(400).json({ error: 'You cannot change your own role or deactivate your own account' });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (mobile !== undefined) user.mobile = mobile;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active === true || active === 'true';
+    await user.save();
+
+    if (!user.active) {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
+
+    res.json({ message: 'User updated', user: { ...toUserSummary(user), mobile: user.mobile, active: user.active } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== KYC PROFILE ROUTES ====================
+
+app.get('/api/profile/kyc', authenticate, async (req, res) => {
+  try {
+    res.json({
+      kyc: req.user.kyc,
+      missingFields: getMissingKycFields(req.user.kyc),
+      documentUrls: getDocumentUrls(req.user.kyc)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates or updates the KYC profile; fields not sent are kept. Any change sends the profile back for verification.
+app.put('/api/profile/kyc',
+  authenticate,
+  upload.fields([
+    { name: 'drivingLicense', maxCount: 1 },
+    { name: 'aadharCard', maxCount: 1 },
+    { name: 'livePhoto', maxCount: 1 }
+  ]),
+  async (req, res) => {
+    try {
+      const kyc = req.user.kyc;
+      const files = req.files || {};
+      let changed = false;
+
+      for (const field of KYC_DETAIL_FIELDS) {
+        if (req.body[field] === undefined || req.body[field] === '') continue;
+        if (field === 'guardianRelation' && !GUARDIAN_RELATIONS.includes(req.body[field])) {
+          await removeUploadedFiles(req);
+          return res.status(400).json({ error: `guardianRelation must be one of: ${GUARDIAN_RELATIONS.join(', ')}` });
+        }
+        if (field === 'licenseExpiryDate') {
+          const expiry = new Date(req.body[field]);
+          if (isNaN(expiry.getTime())) {
+            await removeUploadedFiles(req);
+            return res.status(400).json({ error: 'Invalid licenseExpiryDate' });
+          }
+          if (expiry < new Date()) {
+            await removeUploadedFiles(req);
+            return res.status(400).json({ error: 'Driving licence has expired' });
+          }
+          kyc[field] = expiry;
+        } else {
+          kyc[field] = req.body[field];
+        }
+        changed = true;
+      }
+
+      for (const [uploadField, field] of Object.entries(KYC_DOCUMENT_FIELDS)) {
+        if (files[uploadField]) {
+          kyc[field] = files[uploadField][0].path;
+          changed = true;
+        }
+      }
+
+      if (!changed) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+
+      const missingFields = getMissingKycFields(kyc);
+      if (missingFields.length === 0) {
+        kyc.status = 'pending';
+        kyc.submittedAt = new Date();
+        kyc.verifiedAt = undefined;
+        kyc.verifiedBy = undefined;
+        kyc.rejectionReason = undefined;
+      } else if (kyc.status !== 'not_submitted') {
+        kyc.status = 'not_submitted';
+      }
+      await req.user.save();
+
+      res.json({
+        message: missingFields.length === 0 ? 'KYC profile submitted for verification' : 'KYC profile saved; some details are still missing',
+        kyc,
+        missingFields,
+        documentUrls: getDocumentUrls(kyc)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/kyc', authenticate, requirePermission('bookings.review'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const users = await User.find({ 'kyc.status': status })
+      .select('name email mobile kyc createdAt')
+      .sort({ 'kyc.submittedAt': 1 });
+    res.json({
+      users: users.map(user => ({ ...user.toObject(), documentUrls: getDocumentUrls(user.kyc) }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/kyc/:userId/review', authenticate, requirePermission('bookings.review'), async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.kyc.status !== 'pending') {
+      return res.status(400).json({ error: `KYC profile is ${user.kyc.status}, not awaiting review` });
+    }
+
+    if (action === 'verify') {
+      user.kyc.status = 'verified';
+      user.kyc.verifiedAt = new Date();
+      user.kyc.verifiedBy = req.userId;
+      user.kyc.rejectionReason = undefined;
+    } else if (action === 'reject') {
+      if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to reject a KYC profile' });
+      }
+      user.kyc.status = 'rejected';
+      user.kyc.rejectionReason = reason;
+    } else {
+      return res.status(400).json({ error: 'Invalid action. Use "verify" or "reject"' });
+    }
+
+    await user.save();
+
+    await createNotification(
+      user._id,
+      action === 'verify'
+        ? 'Your KYC profile has been verified. Future bookings can use it without uploading documents again.'
+        : `Your KYC profile was rejected. Reason: ${reason}. Please update it and resubmit.`,
+      null,
+      'general'
+    );
+
+    res.json({ message: `KYC profile ${user.kyc.status}`, kyc: user.kyc });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== CAR ROUTES ====================
+
+app.get('/api/cars', async (req, res) => {
+  try {
+    const {
+      type, available, fuelType, gearType,
+      startTime, duration, seats, brand, minPrice, maxPrice, withDriver
+    } = req.query;
+    let filter = {};
+
+    if (type) filter.type = type;
+    if (available !== undefined) filter.available = available === 'true';
+    if (fuelType) filter.fuelType = fuelType;
+    if (gearType) filter.gearType = gearType;
+    if (seats) filter.seatingCapacity = { $gte: parseInt(seats) };
+    if (brand) filter.brand = new RegExp(`^${escapeRegex(brand)}$`, 'i');
+    if (withDriver === 'true') filter.driverAvailable = true;
+
+    const hours = duration ? parseInt(duration) : null;
+    let searchStart = null;
+    if (hours !== null && (isNaN(hours) || hours <= 0 || hours % 12 !== 0)) {
+      return res.status(400).json({ error: 'Duration must be in multiples of 12 hours' });
+    }
+
+    if (startTime) {
+      if (!hours) {
+        return res.status(400).json({ error: 'Duration is required when searching by start time' });
+      }
+      const start = new Date(startTime);
+      if (isNaN(start.getTime())) {
+        return res.status(400).json({ error: 'Invalid start time' });
+      }
+      const end = new Date(start.getTime() + hours * HOUR_MS);
+      searchStart = start;
+
+      const bookedCarIds = await Booking.distinct('carId', {
+        status: { $in: SLOT_HOLDING_STATUSES },
+        startTime: { $lt: end },
+        endTime: { $gt: start }
+      });
+      filter._id = { $nin: bookedCarIds };
+      filter.available = true;
+    }
+
+    let cars = await Car.find(filter).sort({ createdAt: -1 });
+
+    if (hours) {
+      const pricingRules = await loadActivePricingRules();
+      cars = cars.map(car => {
+        const { basePrice, driverCharges, tierPrice, appliedRules } = calculatePriceByDuration(
+          car, hours, withDriver === 'true', { startTime: searchStart, pricingRules }
+        );
+        return {
+          ...car.toObject(),
+          quote: {
+            duration: hours,
+            tierPrice,
+            appliedRules,
+            basePrice,
+            driverCharges,
+            total: basePrice + driverCharges,
+            securityDeposit: car.securityDeposit,
+            kmAllowance: calculateKmAllowance(car, hours)
+          }
+        };
+      });
+    }
+
+    // Price range applies to the quoted total when a duration is given, otherwise to the 24hr tier
+    const priceOf = car => (car.quote ? car.quote.total : car.pricing.price24hr);
+    if (minPrice) cars = cars.filter(car => priceOf(car) >= parseFloat(minPrice));
+    if (maxPrice) cars = cars.filter(car => priceOf(car) <= parseFloat(maxPrice));
+
+    res.json({ cars });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/cars/:id', async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({ error: 'Car not found' });
+    }
+    res.json({ car });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/cars/:id/availability', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * 24 * HOUR_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+    if (to <= from) {
+      return res.status(400).json({ error: '"to" must be after "from"' });
+    }
+    if (to - from > 90 * 24 * HOUR_MS) {
+      return res.status(400).json({ error: 'Date range cannot exceed 90 days' });
+    }
 
-app.get('/api/cars/:id', async (req, res) => {
-  try {
     const car = await Car.findById(req.params.id);
     if (!car) {
       return res.status(404).json({ error: 'Car not found' });
     }
-    res.json({ car });
+
+    // An out-of-service car is blocked for the whole window
+    const booked = car.available
+      ? await getBookedIntervals(car._id, from, to)
+      : [{ startTime: from, endTime: to, status: 'out_of_service' }];
+
+    res.json({
+      carId: car._id,
+      from,
+      to,
+      slotHours: SLOT_HOURS,
+      booked,
+      free: computeFreeIntervals(booked, from, to),
+      slots: computeSlots(booked, from, to)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/cars', authenticate, requirePermission('cars.manage'), async (req, res) => {
+  try {
+    const { 
+      carName, model, brand, year, type, gearType, fuelType, seatingCapacity,
+      pricing, kmAllowance, excessKmRate, securityDeposit, driverAvailable, driverChargesPerDay,
+      description, features, imageUrl, registrationNumber
+    } = req.body;
+
+    if (!pricing || !pricing.price12hr || !pricing.price24hr || !pricing.price36hr || 
+        !pricing.price48hr || !pricing.price60hr || !pricing.price72hr) {
+      return res.status(400).json({ error: 'All pricing tiers (12hr, 24hr, 36hr, 48hr, 60hr, 72hr) are required' });
+    }
+
+    const car = new Car({ 
+      carName, model, brand, year, type, gearType, fuelType, seatingCapacity,
+      pricing, kmAllowance, excessKmRate, securityDeposit, driverAvailable, driverChargesPerDay,
+      description, features, imageUrl, registrationNumber
+    });
+    
+    await car.save();
+    res.status(201).json({ message: 'Car added successfully', car });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/cars/:id', authenticate, requirePermission('cars.manage'), async (req, res) => {
+  try {
+    const car = await Car.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!car) {
+      return res.status(404).json({ error: 'Car not found' });
+    }
+    res.json({ message: 'Car updated successfully', car });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/cars/:id', authenticate, requirePermission('cars.manage'), async (req, res) => {
+  try {
+    const car = await Car.findByIdAndDelete(req.params.id);
+    if (!car) {
+      return res.status(404).json({ error: 'Car not found' });
+    }
+    res.json({ message: 'Car deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== PRICING RULE ROUTES ====================
+
+const validatePricingRule = (rule) => {
+  if (rule.startDate && rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    return 'endDate must be on or after startDate';
+  }
+  if (rule.adjustmentType === 'percentage' && rule.value < -100) {
+    return 'Percentage discount cannot exceed 100%';
+  }
+  return null;
+};
+
+app.get('/api/admin/pricing-rules', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const { active } = req.query;
+    let filter = {};
+    if (active !== undefined) filter.active = active === 'true';
+
+    const rules = await PricingRule.find(filter).sort({ priority: -1, createdAt: -1 });
+    res.json({ rules });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/pricing-rules', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const {
+      name, description, startDate, endDate, weekdays, carTypes, brands,
+      adjustmentType, value, priority, active
+    } = req.body;
+
+    const validationError = validatePricingRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = new PricingRule({
+      name, description, startDate, endDate, weekdays, carTypes, brands,
+      adjustmentType, value, priority, active
+    });
+
+    await rule.save();
+    res.status(201).json({ message: 'Pricing rule created successfully', rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/pricing-rules/:id', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const existing = await PricingRule.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    const validationError = validatePricingRule({ ...existing.toObject(), ...req.body });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await PricingRule.findByIdAndUpdate(
+      req.params.id,
+      { ...req.body, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+    res.json({ message: 'Pricing rule updated successfully', rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/pricing-rules/:id', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    res.json({ message: 'Pricing rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== COUPON ROUTES ====================
+
+const validateCouponFields = (coupon) => {
+  if (coupon.discountType === 'percentage' && Number(coupon.value) > 100) {
+    return 'Percentage discount cannot exceed 100%';
+  }
+  return null;
+};
+
+app.get('/api/admin/coupons', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const { active } = req.query;
+    let filter = {};
+    if (active !== undefined) filter.active = active === 'true';
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+
+    const usage = await Booking.aggregate([
+      { $match: { couponCode: { $in: coupons.map(c => c.code) }, status: { $nin: COUPON_RELEASED_STATUSES } } },
+      { $group: { _id: '$couponCode', count: { $sum: 1 } } }
+    ]);
+    const usageByCode = Object.fromEntries(usage.map(u => [u._id, u.count]));
+
+    res.json({ coupons: coupons.map(c => ({ ...c, usedCount: usageByCode[c.code] || 0 })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/coupons', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const {
+      code, description, discountType, value, maxDiscount, minDuration, carTypes,
+      validFrom, validUntil, usageLimit, perUserLimit, active
+    } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+    const validationError = validateCouponFields({ discountType, value });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({ error: 'Coupon code already exists' });
+    }
+
+    const coupon = new Coupon({
+      code, description, discountType, value, maxDiscount, minDuration, carTypes,
+      validFrom, validUntil, usageLimit, perUserLimit, active
+    });
+
+    await coupon.save();
+    res.status(201).json({ message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/coupons/:id', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    // Renaming a code would detach it from bookings that already used it
+    const { code, ...updates } = req.body;
+
+    const existing = await Coupon.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const validationError = validateCouponFields({ ...existing.toObject(), ...updates });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { ...updates, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/coupons/:id', authenticate, requirePermission('pricing.manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== BOOKING ROUTES ====================
+
+app.post('/api/bookings', 
+  authenticate,
+  upload.fields([
+    { name: 'drivingLicense', maxCount: 1 },
+    { name: 'aadharCard', maxCount: 1 },
+    { name: 'livePhoto', maxCount: 1 }
+  ]),
+  async (req, res) => {
+    try {
+      const {
+        carId, startTime, duration, fullName, guardianName, guardianRelation,
+        residentialAddress, email, mobile, occupation,
+        reference1Name, reference1Mobile, reference2Name, reference2Mobile,
+        drivingLicenseNumber, licenseExpiryDate,
+        depositType, bikeDetails, withDriver, homeDelivery, deliveryAddress, deliveryDistance,
+        homePickup, pickupAddress, pickupDistance, couponCode, customerGstin
+      } = req.body;
+
+      if (duration % 12 !== 0) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Duration must be in multiples of 12 hours' });
+      }
+
+      const car = await Car.findById(carId);
+      if (!car) {
+        await removeUploadedFiles(req);
+        return res.status(404).json({ error: 'Car not found' });
+      }
+      if (!car.available) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Car is currently out of service' });
+      }
+
+      if (withDriver === 'true' && !car.driverAvailable) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Driver service not available for this car' });
+      }
+
+      // Without a full set of uploads the customer's KYC profile fills the gaps: every uploaded document
+      // and every detail sent with the booking is used, the profile supplies the rest
+      const files = req.files || {};
+      const uploadedAll = files.drivingLicense && files.aadharCard && files.livePhoto;
+      const profile = req.user.kyc;
+      const useProfile = !uploadedAll && KYC_USABLE_STATUSES.includes(profile.status);
+      if (!uploadedAll && !useProfile) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({
+          error: profile.status === 'rejected'
+            ? `Your KYC profile was rejected (${profile.rejectionReason || 'no reason given'}). Update it or upload all documents.`
+            : 'All documents (Driving License, Aadhar, Live Photo) are required, or complete your KYC profile first'
+        });
+      }
+
+      const kycDetails = useProfile
+        ? {
+          ...Object.fromEntries(KYC_DETAIL_FIELDS.map(field => [field, req.body[field] || profile[field]])),
+          licenseExpiryDate: new Date(licenseExpiryDate || profile.licenseExpiryDate),
+          ...Object.fromEntries(Object.entries(KYC_DOCUMENT_FIELDS).map(([uploadField, field]) => [
+            field,
+            files[uploadField] ? files[uploadField][0].path : profile[field]
+          ]))
+        }
+        : {
+          fullName, guardianName, guardianRelation, residentialAddress, occupation,
+          reference1Name, reference1Mobile, reference2Name, reference2Mobile,
+          drivingLicenseNumber,
+          licenseExpiryDate: new Date(licenseExpiryDate),
+          drivingLicenseImage: files.drivingLicense[0].path,
+          aadharCardImage: files.aadharCard[0].path,
+          livePhoto: files.livePhoto[0].path
+        };
+
+      if (!GUARDIAN_RELATIONS.includes(kycDetails.guardianRelation)) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: `guardianRelation must be one of: ${GUARDIAN_RELATIONS.join(', ')}` });
+      }
+
+      const gstin = customerGstin ? String(customerGstin).trim().toUpperCase() : undefined;
+      if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Invalid GSTIN' });
+      }
+
+      const wantsDelivery = homeDelivery === 'true';
+      const wantsPickup = homePickup === 'true';
+      const serviceError = validateHomeService(wantsDelivery, parseFloat(deliveryDistance), 'Home delivery') ||
+        validateHomeService(wantsPickup, parseFloat(pickupDistance), 'Return pickup');
+      if (serviceError) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: serviceError });
+      }
+
+      const start = new Date(startTime);
+      if (isNaN(start.getTime())) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'Invalid start time' });
+      }
+      const end = new Date(start.getTime() + (duration * 60 * 60 * 1000));
+
+      const conflict = await findConflictingBooking(car._id, start, end);
+      if (conflict) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({
+          error: 'Car is already booked for the selected time slot',
+          conflict: { startTime: conflict.startTime, endTime: conflict.endTime }
+        });
+      }
+
+      const depositAmount = car.securityDeposit;
+      
+      const pricingRules = await loadActivePricingRules();
+      const {
+        basePrice, tierPrice, appliedRules, driverCharges, deliveryFee, pickupFee, kmAllowance, excessKmRate, total: subtotal
+      } = calculatePriceBreakdown(
+        car, parseInt(duration), withDriver === 'true', wantsDelivery, parseFloat(deliveryDistance || 0),
+        { startTime: start, pricingRules, homePickup: wantsPickup, pickupDistance: parseFloat(pickupDistance || 0) }
+      );
+
+      let coupon = null;
+      let couponDiscount = 0;
+      if (couponCode) {
+        const result = await validateCoupon(couponCode, { car, duration: parseInt(duration), userId: req.userId, subtotal });
+        if (result.error) {
+          await removeUploadedFiles(req);
+          return res.status(400).json({ error: result.error });
+        }
+        coupon = result.coupon;
+        couponDiscount = result.discount;
+      }
+      const totalPrice = subtotal - couponDiscount;
+
+      const booking = new Booking({
+        customerId: req.userId,
+        carId,
+        startTime: start,
+        duration: parseInt(duration),
+        endTime: end,
+        ...kycDetails,
+        email: email || req.user.email,
+        mobile: mobile || req.user.mobile,
+        usedKycProfile: useProfile,
+        customerGstin: gstin,
+        depositType,
+        bikeDetails: depositType === 'bike' ? bikeDetails : null,
+        depositAmount,
+        withDriver: withDriver === 'true',
+        driverCharges,
+        homeDelivery: wantsDelivery,
+        deliveryAddress: wantsDelivery ? deliveryAddress : null,
+        deliveryDistance: wantsDelivery ? parseFloat(deliveryDistance) : 0,
+        deliveryFee,
+        homePickup: wantsPickup,
+        pickupAddress: wantsPickup ? (pickupAddress || deliveryAddress) : null,
+        pickupDistance: wantsPickup ? parseFloat(pickupDistance) : 0,
+        pickupFee,
+        kmAllowance,
+        excessKmRate,
+        basePrice,
+        tierPrice,
+        appliedPricingRules: appliedRules,
+        couponCode: coupon ? coupon.code : undefined,
+        couponDiscount,
+        totalPrice,
+        status: 'pending'
+      });
+
+      applyProfileDocumentChecks(booking, profile);
+      const licenceRejected = applyLicenceValidityCheck(booking);
+
+      await booking.save();
+
+      // First-time customers can keep this booking's details as their KYC profile
+      if (!useProfile && req.body.saveToProfile === 'true' && ['not_submitted', 'rejected'].includes(profile.status)) {
+        KYC_DETAIL_FIELDS.forEach(field => { req.user.kyc[field] = booking[field]; });
+        Object.values(KYC_DOCUMENT_FIELDS).forEach(field => { req.user.kyc[field] = booking[field]; });
+        req.user.kyc.status = 'pending';
+        req.user.kyc.submittedAt = new Date();
+        req.user.kyc.rejectionReason = undefined;
+        await req.user.save();
+      }
+
+      await createNotification(
+        req.userId,
+        `New booking request submitted for ${car.carName}`,
+        booking._id,
+        'booking_update'
+      );
+
+      if (licenceRejected) {
+        await createNotification(
+          req.userId,
+          `Your driving licence was rejected for this booking: ${booking.documentChecks.drivingLicense.reason}. Please upload a licence that is valid for the whole rental.`,
+          booking._id,
+          'booking_update'
+        );
+      }
+
+      res.status(201).json({
+        message: 'Booking submitted successfully. Waiting for admin approval.',
+        booking
+      });
+    } catch (error) {
+      console.error('Booking error:', error);
+      res.status(500).json({ error: error.message });
+    }
+});
+
+// Dry-run price quote; no documents, no booking created
+app.post('/api/bookings/quote', async (req, res) => {
+  try {
+    const { carId, startTime, duration, withDriver, homeDelivery, deliveryDistance, homePickup, pickupDistance } = req.body;
+    const hours = parseInt(duration);
+    const start = startTime ? new Date(startTime) : null;
+    const wantsDriver = withDriver === true || withDriver === 'true';
+    const wantsDelivery = homeDelivery === true || homeDelivery === 'true';
+    const wantsPickup = homePickup === true || homePickup === 'true';
+
+    if (!hours || hours <= 0 || hours % 12 !== 0) {
+      return res.status(400).json({ error: 'Duration must be in multiples of 12 hours' });
+    }
+    if (start && isNaN(start.getTime())) {
+      return res.status(400).json({ error: 'Invalid start time' });
+    }
+
+    const serviceError = validateHomeService(wantsDelivery, parseFloat(deliveryDistance), 'Home delivery') ||
+      validateHomeService(wantsPickup, parseFloat(pickupDistance), 'Return pickup');
+    if (serviceError) {
+      return res.status(400).json({ error: serviceError });
+    }
+
+    const car = await Car.findById(carId);
+    if (!car) {
+      return res.status(404).json({ error: 'Car not found' });
+    }
+
+    if (wantsDriver && !car.driverAvailable) {
+      return res.status(400).json({ error: 'Driver service not available for this car' });
+    }
+
+    const pricingRules = await loadActivePricingRules();
+    const breakdown = calculatePriceBreakdown(
+      car, hours, wantsDriver, wantsDelivery, parseFloat(deliveryDistance || 0),
+      { startTime: start, pricingRules, homePickup: wantsPickup, pickupDistance: parseFloat(pickupDistance || 0) }
+    );
+
+    res.json({
+      quote: {
+        carId: car._id,
+        carName: car.carName,
+        startTime: start,
+        duration: hours,
+        withDriver: wantsDriver,
+        homeDelivery: wantsDelivery,
+        homePickup: wantsPickup,
+        ...breakdown
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bookings/my-bookings', authenticate, async (req, res) => {
+  try {
+    const bookings = await Booking.find({ customerId: req.userId })
+      .populate('carId', 'carName model type imageUrl gearType fuelType')
+      .sort({ createdAt: -1 });
+    res.json({ bookings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bookings', authenticate, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    let filter = {};
+    if (status) filter.status = status;
+
+    const bookings = await Booking.find(filter)
+      .populate('customerId', 'name email mobile')
+      .populate('carId', 'carName model type gearType fuelType')
+      .sort({ createdAt: -1 });
+    res.json({ bookings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bookings/:id', authenticate, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('customerId', 'name email mobile')
+      .populate('carId');
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ booking, documentUrls: getBookingDocumentUrls(booking) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/bookings/:id/review', authenticate, requirePermission('bookings.review'), async (req, res) => {
+  try {
+    const { action, adminNotes, documents } = req.body;
+
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ error: 'Booking has already been reviewed' });
+    }
+
+    if (action === 'accept') {
+      if (!booking.carId.available) {
+        return res.status(400).json({ error: 'Car is currently out of service' });
+      }
+
+      // Documents may be reviewed in the same request; every document must end up verified
+      const reviewResult = applyDocumentReview(booking, documents, req.userId);
+      if (reviewResult.error) {
+        return res.status(400).json({ error: reviewResult.error });
+      }
+      if (booking.usedKycProfile) {
+        const customer = await User.findById(booking.customerId).select('kyc');
+        applyProfileDocumentChecks(booking, customer && customer.kyc);
+      }
+      applyLicenceValidityCheck(booking);
+
+      const unverified = getUnverifiedDocuments(booking);
+      if (unverified.length) {
+        await booking.save();
+        return res.status(400).json({ error: 'All documents must be verified before accepting', documents: unverified });
+      }
+
+      // Creation already rejects overlaps, but two requests created at the same moment can both get through;
+      // the first one accepted keeps the slot, so only bookings that were already accepted block this one
+      const conflict = await findConflictingBooking(booking.carId._id, booking.startTime, booking.endTime, {
+        excludeBookingId: booking._id,
+        statuses: ['accepted', 'payment_pending', 'paid', 'active']
+      });
+      if (conflict) {
+        return res.status(400).json({
+          error: 'Car is already booked for this time slot by another booking',
+          conflict: { bookingId: conflict._id, startTime: conflict.startTime, endTime: conflict.endTime }
+        });
+      }
+
+      booking.status = 'payment_pending';
+      booking.adminNotes = adminNotes;
+      booking.reviewedAt = new Date();
+
+      await recordLedgerEntry(booking, {
+        type: 'charge',
+        category: 'rental',
+        amount: booking.totalPrice,
+        description: `${booking.duration}hr rental of ${booking.carId.carName}` +
+          (booking.couponDiscount ? ` (coupon ${booking.couponCode} -₹${booking.couponDiscount})` : ''),
+        createdBy: req.userId
+      });
+
+      await createNotification(
+        booking.customerId,
+        `Your booking for ${booking.carId.carName} has been accepted! Please proceed with payment.`,
+        booking._id,
+        'booking_update'
+      );
+
+      await booking.save();
+      res.json({ message: 'Booking accepted. Customer can now proceed with payment.', booking });
+
+    } else if (action === 'decline') {
+      booking.status = 'declined';
+      booking.adminNotes = adminNotes;
+      booking.reviewedAt = new Date();
+
+      await createNotification(
+        booking.customerId,
+        `Your booking for ${booking.carId.carName} has been declined. Reason: ${adminNotes}`,
+        booking._id,
+        'booking_update'
+      );
+
+      await booking.save();
+      res.json({ message: 'Booking declined', booking });
+    } else {
+      return res.status(400).json({ error: 'Invalid action. Use "accept" or "decline"' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/bookings/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const { reason, waivePolicy } = req.body;
+    const isStaff = hasPermission(req.user, 'bookings.manage');
+
+    if (waivePolicy && !hasPermission(req.user, 'payments.refund')) {
+      return res.status(403).json({ error: 'Permission "payments.refund" required to waive the cancellation policy' });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!isStaff && booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!['pending', 'accepted', 'payment_pending', 'paid'].includes(booking.status)) {
+      return res.status(400).json({ error: `Booking cannot be cancelled in status "${booking.status}"` });
+    }
+
+    const now = new Date();
+    const isPaid = booking.status === 'paid' && booking.paymentStatus === 'completed';
+
+    // Staff who can issue refunds may waive the policy (e.g. car breakdown) and refund in full
+    const refundPercent = isPaid ? (waivePolicy ? 100 : getRefundPercent(booking.startTime, now)) : 0;
+
+    // The policy applies to what was actually paid; an extension or date change was paid on its own
+    // order, so the refund is spread over the orders, each up to what it can still refund
+    const orders = isPaid ? await getPaidBookingOrders(booking) : [];
+    const totalPaid = orders.reduce((total, order) => total + order.paid, 0);
+    const alreadyRefunded = orders.reduce((total, order) => total + order.refunded, 0);
+    const refundAmount = Math.min(
+      Math.round(totalPaid * refundPercent / 100),
+      orders.reduce((total, order) => total + order.refundable, 0)
+    );
+
+    // Customers get the policy refund on their own bookings; staff need the refund permission to trigger one
+    if (refundAmount > 0 && booking.customerId.toString() !== req.userId.toString() && !hasPermission(req.user, 'payments.refund')) {
+      return res.status(403).json({ error: 'Permission "payments.refund" required to cancel a booking with a refund' });
+    }
+
+    // Claim the cancellation before refunding; of two concurrent cancels only one gets past this
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status, paymentStatus: booking.paymentStatus },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: now,
+          cancelledBy: req.userId,
+          cancellationReason: reason,
+          refundPercent,
+          refundAmount,
+          updatedAt: Date.now()
+        }
+      },
+      { new: true }
+    ).populate('carId');
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Booking was changed by another request. Please reload and try again' });
+    }
+
+    const refunds = [];
+    let remaining = refundAmount;
+    let refundNotStarted = 0;
+    for (const order of orders) {
+      if (remaining <= 0) break;
+      const amount = Math.min(remaining, order.refundable);
+      if (amount <= 0) continue;
+
+      // The booking is already cancelled; a refund that cannot be started is left for an admin to issue
+      const result = await initiateRefund(cancelled, amount, {
+        merchantOrderId: order.merchantOrderId,
+        reason: `Cancellation${reason ? `: ${reason}` : ''}`,
+        initiatedBy: req.userId
+      }).catch(error => ({ error: error.message }));
+      if (result.error) {
+        console.error('Cancellation refund error:', result.error);
+        refundNotStarted += amount;
+      } else {
+        refunds.push(result.refund);
+      }
+      remaining -= amount;
+    }
+    if (refunds.length) {
+      cancelled.merchantRefundId = refunds[0].merchantRefundId;
+      await cancelled.save();
+    }
+
+    // Write off whatever was charged beyond what we keep under the policy
+    const { summary } = await getBookingLedger(booking._id);
+    const retained = totalPaid - alreadyRefunded - refundAmount;
+    const writeOff = summary.charges - summary.credits - retained;
+    if (writeOff > 0) {
+      await recordLedgerEntry(cancelled, {
+        type: 'credit',
+        category: 'cancellation',
+        amount: writeOff,
+        description: `Cancellation (${refundPercent}% refund)`,
+        createdBy: req.userId
+      });
+    }
+
+    let message = cancelled.customerId.toString() !== req.userId.toString()
+      ? `Your booking for ${cancelled.carId.carName} has been cancelled by our team.`
+      : `Your booking for ${cancelled.carId.carName} has been cancelled.`;
+    if (reason) message += ` Reason: ${reason}.`;
+    if (refundAmount > 0) {
+      message += ` A refund of ₹${refundAmount} (${refundPercent}%) has been initiated.`;
+      if (refundNotStarted > 0) {
+        message += ` ₹${refundNotStarted} of it could not be started yet; our team will complete it.`;
+      }
+    } else if (isPaid) {
+      message += ' No refund is applicable under the cancellation policy.';
+    }
+
+    await createNotification(cancelled.customerId, message, cancelled._id, 'booking_update');
+
+    res.json({
+      message: 'Booking cancelled',
+      booking: cancelled,
+      refundPercent,
+      refundAmount,
+      refundNotStarted,
+      refunds: refunds.map(refund => ({
+        merchantRefundId: refund.merchantRefundId,
+        originalMerchantOrderId: refund.originalMerchantOrderId,
+        amount: refund.amount
+      }))
+    });
+  } catch (error) {
+    console.error('Booking cancellation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-document review without accepting or declining the booking
+app.put('/api/bookings/:id/documents/review', authenticate, requirePermission('bookings.review'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('carId', 'carName');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ error: 'Documents can only be reviewed on pending bookings' });
+    }
+
+    const { error } = applyDocumentReview(booking, req.body.documents, req.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    booking.updatedAt = Date.now();
+    await booking.save();
+
+    const rejected = Object.entries(req.body.documents || {}).filter(([, review]) => review.status === 'rejected');
+    if (rejected.length) {
+      await createNotification(
+        booking.customerId,
+        `Please re-upload for your ${booking.carId.carName} booking: ` +
+          rejected.map(([document, review]) => `${document} (${review.reason})`).join(', '),
+        booking._id,
+        'booking_update'
+      );
+    }
+
+    res.json({ message: 'Documents reviewed', documentChecks: booking.documentChecks, unverified: getUnverifiedDocuments(booking) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Customer replaces a single rejected document; a driving licence may come with a new number and expiry date
+app.post('/api/bookings/:id/documents/:document', authenticate, upload.single('file'), async (req, res) => {
+  try {
+    const { document } = req.params;
+    const field = KYC_DOCUMENT_FIELDS[document];
+    if (!field) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: `Unknown document "${document}". Use: ${Object.keys(KYC_DOCUMENT_FIELDS).join(', ')}` });
+    }
+
+    const booking = await Booking.findById(req.params.id).populate('carId', 'carName');
+    if (!booking) {
+      await removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.customerId.toString() !== req.userId.toString()) {
+      await removeUploadedFiles(req);
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (booking.status !== 'pending') {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Documents can only be replaced before the booking is reviewed' });
+    }
+
+    if (booking.documentChecks[document].status !== 'rejected') {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: `${document} has not been rejected` });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload the new document as "file"' });
+    }
+
+    if (document === 'drivingLicense') {
+      const { drivingLicenseNumber, licenseExpiryDate } = req.body;
+      const expiry = licenseExpiryDate ? new Date(licenseExpiryDate) : booking.licenseExpiryDate;
+      if (isNaN(new Date(expiry).getTime()) || !isLicenceValidFor(expiry, booking.endTime)) {
+        await removeUploadedFiles(req);
+        return res.status(400).json({ error: 'The driving licence must be valid until the rental ends' });
+      }
+      if (drivingLicenseNumber) booking.drivingLicenseNumber = drivingLicenseNumber;
+      booking.licenseExpiryDate = expiry;
+    }
+
+    booking[field] = req.file.path;
+    booking.documentChecks[document] = { status: 'pending' };
+    booking.updatedAt = Date.now();
+    await booking.save();
+
+    const reviewers = await findUsersWithPermission('bookings.review');
+    for (const reviewer of reviewers) {
+      await createNotification(
+        reviewer._id,
+        `${booking.fullName} re-uploaded ${document} for the ${booking.carId.carName} booking.`,
+        booking._id,
+        'booking_update'
+      );
+    }
+
+    res.json({ message: 'Document uploaded for review', documentChecks: booking.documentChecks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Short-lived links to the booking's documents and inspection photos, for the owner and admins
+app.get('/api/bookings/:id/documents', authenticate, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('customerId drivingLicenseImage aadharCardImage livePhoto documentChecks inspections');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      documentUrls: getBookingDocumentUrls(booking),
+      documentChecks: booking.documentChecks,
+      expiresIn: FILE_URL_TTL_SECONDS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Extend a paid/active rental, or move a paid booking to new dates
+app.post('/api/bookings/:id/modify', authenticate, async (req, res) => {
+  try {
+    const { extendHours, startTime, duration } = req.body;
+    const isStaff = hasPermission(req.user, 'bookings.manage');
+
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!isStaff && booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!['paid', 'active'].includes(booking.status)) {
+      return res.status(400).json({ error: 'Only paid or active bookings can be modified' });
+    }
+
+    if (booking.modifications.some(m => m.status === 'payment_pending')) {
+      return res.status(400).json({ error: 'A previous modification is still awaiting payment' });
+    }
+
+    let type, newStart, newDuration;
+    if (extendHours !== undefined) {
+      const hours = parseInt(extendHours);
+      if (!hours || hours <= 0 || hours % 12 !== 0) {
+        return res.status(400).json({ error: 'Extension must be in multiples of 12 hours' });
+      }
+      type = 'extension';
+      newStart = booking.startTime;
+      newDuration = booking.duration + hours;
+    } else {
+      if (booking.status === 'active') {
+        return res.status(400).json({ error: 'Active rentals can only be extended' });
+      }
+      newStart = startTime ? new Date(startTime) : booking.startTime;
+      newDuration = duration ? parseInt(duration) : booking.duration;
+      if (isNaN(newStart.getTime()) || newStart < new Date()) {
+        return res.status(400).json({ error: 'New start time must be a valid future date' });
+      }
+      if (!newDuration || newDuration < booking.duration || newDuration % 12 !== 0) {
+        return res.status(400).json({ error: 'Duration must be in multiples of 12 hours and not shorter than the current booking' });
+      }
+      type = 'reschedule';
+    }
+    const newEnd = new Date(newStart.getTime() + newDuration * HOUR_MS);
+
+    if (!isLicenceValidFor(booking.licenseExpiryDate, newEnd)) {
+      return res.status(400).json({ error: 'Your driving licence expires before the requested end time' });
+    }
+
+    const conflict = await findConflictingBooking(booking.carId._id, newStart, newEnd, { excludeBookingId: booking._id });
+    if (conflict) {
+      return res.status(400).json({
+        error: 'Car is already booked for the requested time',
+        conflict: { startTime: conflict.startTime, endTime: conflict.endTime }
+      });
+    }
+
+    const pricingRules = await loadActivePricingRules();
+    const repriced = calculatePriceByDuration(booking.carId, newDuration, booking.withDriver, { startTime: newStart, pricingRules });
+    const currentRental = booking.basePrice + booking.driverCharges;
+    const newRental = repriced.basePrice + repriced.driverCharges;
+
+    // Date changes that come out cheaper keep the price already paid; no partial refunds
+    const keepCurrentPrice = newRental < currentRental;
+    const priceDifference = keepCurrentPrice ? 0 : newRental - currentRental;
+
+    booking.modifications.push({
+      type,
+      requestedBy: req.userId,
+      previousStartTime: booking.startTime,
+      previousEndTime: booking.endTime,
+      previousDuration: booking.duration,
+      newStartTime: newStart,
+      newEndTime: newEnd,
+      newDuration,
+      newBasePrice: keepCurrentPrice ? booking.basePrice : repriced.basePrice,
+      newTierPrice: keepCurrentPrice ? booking.tierPrice : repriced.tierPrice,
+      newDriverCharges: keepCurrentPrice ? booking.driverCharges : repriced.driverCharges,
+      newAppliedPricingRules: keepCurrentPrice ? booking.appliedPricingRules : repriced.appliedRules,
+      newKmAllowance: calculateKmAllowance(booking.carId, newDuration),
+      priceDifference
+    });
+    const modification = booking.modifications[booking.modifications.length - 1];
+
+    if (priceDifference === 0) {
+      await applyBookingModification(booking, modification);
+      return res.json({ message: 'Booking updated', booking, modification });
+    }
+
+    const { merchantOrderId, paymentResponse } = await createPaymentOrder(booking, priceDifference, {
+      udf4: `${type === 'extension' ? 'Extension' : 'Reschedule'}: ${newDuration}hrs`,
+      udf5: `Difference: ₹${priceDifference}`
+    });
+    modification.merchantOrderId = merchantOrderId;
+    modification.phonePeOrderId = paymentResponse.orderId;
+    booking.updatedAt = Date.now();
+    await booking.save();
+
+    await recordLedgerEntry(booking, {
+      type: 'payment',
+      category: 'extension',
+      amount: priceDifference,
+      status: 'pending',
+      merchantOrderId,
+      createdBy: req.userId
+    });
+
+    res.json({
+      message: `Pay ₹${priceDifference} to confirm the ${type}`,
+      modification,
+      redirectUrl: paymentResponse.redirectUrl,
+      orderId: paymentResponse.orderId,
+      merchantOrderId,
+      state: paymentResponse.state,
+      expireAt: paymentResponse.expireAt
+    });
+  } catch (error) {
+    console.error('Booking modification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/bookings/:id/start', authenticate, requirePermission('rentals.operate'), upload.fields([{ name: 'photos', maxCount: 30 }]), async (req, res) => {
+  try {
+    const { vehicleName, vehicleNumber, startOdometer } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      await removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'paid') {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Payment must be completed first' });
+    }
+
+    const { inspection, error } = parseInspection('handover', req.body, req.files?.photos);
+    if (error) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error });
+    }
+
+    const odometer = startOdometer !== undefined && startOdometer !== '' ? Number(startOdometer) : null;
+    if (odometer !== null && (isNaN(odometer) || odometer < 0)) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: 'startOdometer must be a non-negative number' });
+    }
+
+    booking.status = 'active';
+    booking.vehicleName = vehicleName;
+    booking.vehicleNumber = vehicleNumber;
+    booking.startOdometer = odometer;
+    booking.startFuelLevel = inspection.fuelLevel;
+    booking.depositStatus = 'received';
+    booking.inspections.push({ ...inspection, odometer, inspectedBy: req.userId });
+
+    await booking.save().catch(async (error) => {
+      await removeUploadedFiles(req);
+      throw error;
+    });
+
+    await createNotification(
+      booking.customerId,
+      `Your rental for ${vehicleName} has started. Enjoy your ride!`,
+      booking._id,
+      'booking_update'
+    );
+
+    res.json({ message: 'Booking marked as active', booking });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/cars', authenticate, isAdmin, async (req, res) => {
+app.put('/api/bookings/:id/complete', authenticate, requirePermission('rentals.operate'), upload.fields([{ name: 'photos', maxCount: 30 }]), async (req, res) => {
   try {
-    const { 
-      carName, model, brand, year, type, gearType, fuelType, seatingCapacity,
-      pricing, securityDeposit, driverAvailable, driverChargesPerDay,
-      description, features, imageUrl, registrationNumber
-    } = req.body;
+    const { endOdometer, actualReturnTime } = req.body;
 
-    if (!pricing || !pricing.price12hr || !pricing.price24hr || !pricing.price36hr || 
-        !pricing.price48hr || !pricing.price60hr || !pricing.price72hr) {
-      return res.status(400).json({ error: 'All pricing tiers (12hr, 24hr, 36hr, 48hr, 60hr, 72hr) are required' });
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      await removeUploadedFiles(req);
+      return res.status(404).json({ error: 'Booking not found' });
     }
 
-    const car = new Car({ 
-      carName, model, brand, year, type, gearType, fuelType, seatingCapacity,
-      pricing, securityDeposit, driverAvailable, driverChargesPerDay,
-      description, features, imageUrl, registrationNumber
+    if (booking.status !== 'active') {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: 'Booking is not active' });
+    }
+
+    const { inspection, error } = parseInspection('return', req.body, req.files?.photos);
+    if (error) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error });
+    }
+
+    const damageInput = parseDamageCharges(req.body.damageCharges);
+    if (damageInput.error) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: damageInput.error });
+    }
+
+    // Without it the deposit is held for damages and charged later through /damage-charges
+    if (damageInput.charges.length > 0 && !hasPermission(req.user, 'damages.charge')) {
+      await removeUploadedFiles(req);
+      return res.status(403).json({ error: 'Permission "damages.charge" required to record damage charges' });
+    }
+
+    const odometer = endOdometer !== undefined && endOdometer !== '' ? Number(endOdometer) : null;
+    if (odometer !== null && (isNaN(odometer) || (booking.startOdometer != null && odometer < booking.startOdometer))) {
+      await removeUploadedFiles(req);
+      return res.status(400).json({ error: 'endOdometer must be a number not lower than the start reading' });
+    }
+
+    const returnTime = actualReturnTime ? new Date(actualReturnTime) : new Date();
+    const lateFee = calculateLateReturnFee(booking.endTime, returnTime);
+    const lateHours = lateFee > 0 ? Math.ceil((returnTime - booking.endTime) / (1000 * 60 * 60)) : 0;
+    const { distanceDriven, excessKm, excessKmCharge } = calculateExcessKmCharge(booking, odometer);
+    const refuel = calculateRefuelCharge(booking.carId.fuelType, booking.startFuelLevel, inspection.fuelLevel);
+
+    booking.status = 'completed';
+    booking.endOdometer = odometer;
+    booking.actualReturnTime = returnTime;
+    booking.lateReturnFee = lateFee;
+    booking.lateHours = lateHours;
+    booking.distanceDriven = distanceDriven;
+    booking.excessKm = excessKm;
+    booking.excessKmCharge = excessKmCharge;
+    booking.endFuelLevel = inspection.fuelLevel;
+    booking.refuelCharge = refuel.charge;
+    booking.totalPrice = calculateBookingTotal(booking);
+
+    const handover = booking.inspections.find(i => i.stage === 'handover');
+    booking.inspections.push({ ...inspection, odometer, inspectedBy: req.userId });
+    booking.damages = diffInspections(handover, inspection);
+
+    // Saved before any ledger or deposit entry is written, so a failed save leaves nothing behind
+    await booking.save().catch(async (error) => {
+      await removeUploadedFiles(req);
+      throw error;
     });
-    
-    await car.save();
-    res.status(201).json({ message: 'Car added successfully', car });
+
+    if (lateFee > 0) {
+      await recordLedgerEntry(booking, {
+        type: 'charge',
+        category: 'late_fee',
+        amount: lateFee,
+        description: `Late return (${lateHours} hours)`,
+        createdBy: req.userId
+      });
+    }
+
+    if (excessKmCharge > 0) {
+      await recordLedgerEntry(booking, {
+        type: 'charge',
+        category: 'excess_km',
+        amount: excessKmCharge,
+        description: `${excessKm} km over the ${booking.kmAllowance} km allowance at ₹${booking.excessKmRate}/km`,
+        createdBy: req.userId
+      });
+    }
+
+    if (refuel.charge > 0) {
+      await recordLedgerEntry(booking, {
+        type: 'charge',
+        category: 'fuel',
+        amount: refuel.charge,
+        description: refuel.unit === 'percent'
+          ? `Recharge: battery returned at ${booking.endFuelLevel}% (handed over at ${booking.startFuelLevel}%)`
+          : `Refuel: ${refuel.missing} quarter tank(s) missing (${booking.startFuelLevel}% → ${booking.endFuelLevel}%)`,
+        createdBy: req.userId
+      });
+    }
+
+    // New damages without charges (and an explicit hold) keep the deposit until damage-charges settles it
+    const holdDeposit = req.body.holdDeposit === true || req.body.holdDeposit === 'true' ||
+      (booking.damages.length > 0 && req.body.damageCharges === undefined);
+    const deposit = holdDeposit ? null : await settleDeposit(booking, damageInput.charges, req.userId);
+
+    let message = `Your rental for ${booking.carId.carName} is completed.`;
+    if (lateFee > 0) {
+      message += ` Late return fee of ₹${lateFee} has been charged (${lateHours} hours late).`;
+    }
+    if (distanceDriven !== null) {
+      message += ` You drove ${distanceDriven} km`;
+      message += excessKmCharge > 0
+        ? `, ${excessKm} km over your ${booking.kmAllowance} km allowance; an excess distance charge of ₹${excessKmCharge} applies.`
+        : '.';
+    }
+    if (refuel.charge > 0) {
+      message += booking.carId.fuelType === 'ev'
+        ? ` The battery was returned at ${booking.endFuelLevel}% instead of ${booking.startFuelLevel}%; a recharge fee of ₹${refuel.charge} applies.`
+        : ` The fuel tank was returned at ${booking.endFuelLevel}% instead of ${booking.startFuelLevel}%; a refuelling fee of ₹${refuel.charge} applies.`;
+    }
+    // With the deposit held, the invoice is issued once damage charges are settled
+    const invoice = holdDeposit ? null : await issueInvoice(booking).catch(error => {
+      console.error('Invoice generation error:', error);
+      return null;
+    });
+
+    if (holdDeposit) {
+      message += ` Your deposit is held pending damage assessment.`;
+    } else if (deposit.deduction > 0) {
+      message += ` Damage charges of ₹${deposit.total} apply; ₹${deposit.deduction} has been deducted from your deposit and ₹${booking.depositRefundAmount} will be refunded.`;
+    } else {
+      message += ` Your deposit will be refunded.`;
+    }
+
+    const { summary } = await getBookingLedger(booking._id);
+    if (summary.balance > 0) {
+      message += ` An outstanding balance of ₹${summary.balance} is due.`;
+    }
+
+    if (invoice) {
+      message += ` Your invoice ${invoice.number} is ready to download.`;
+    }
+
+    await createNotification(booking.customerId, message, booking._id, 'booking_update');
+
+    await booking.save();
+    res.json({
+      message: 'Booking completed successfully',
+      booking,
+      lateFee,
+      lateHours,
+      distanceDriven,
+      excessKm,
+      excessKmCharge,
+      refuelCharge: refuel.charge,
+      damages: booking.damages,
+      depositStatus: booking.depositStatus,
+      depositDeduction: booking.depositDeduction,
+      invoiceNumber: invoice ? invoice.number : null,
+      balance: summary.balance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settles a deposit held at completion once damages have been assessed; an empty list releases it in full
+app.post('/api/bookings/:id/damage-charges', authenticate, requirePermission('damages.charge'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.status !== 'completed' || booking.depositStatus !== 'received') {
+      return res.status(400).json({ error: 'Only completed bookings with a held deposit can be charged for damages' });
+    }
+
+    const { charges, error } = parseDamageCharges(req.body.charges);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const deposit = await settleDeposit(booking, charges, req.userId);
+    await booking.save();
+
+    const { summary } = await getBookingLedger(booking._id);
+    const invoice = await issueInvoice(booking).catch(error => {
+      console.error('Invoice generation error:', error);
+      return null;
+    });
+
+    let message = deposit.total > 0
+      ? `Damage charges of ₹${deposit.total} for ${booking.carId.carName} have been deducted from your deposit. ₹${booking.depositRefundAmount} will be refunded.`
+      : `No damage charges for ${booking.carId.carName}. Your deposit of ₹${booking.depositAmount} will be refunded.`;
+    if (deposit.uncovered > 0) {
+      message += ` ₹${deposit.uncovered} exceeds the deposit and is due as an outstanding balance.`;
+    }
+    if (invoice) {
+      message += ` Your invoice ${invoice.number} is ready to download.`;
+    }
+    await createNotification(booking.customerId, message, booking._id, 'payment');
+
+    res.json({
+      message: 'Deposit settled',
+      damageCharges: booking.damageCharges,
+      depositStatus: booking.depositStatus,
+      depositDeduction: booking.depositDeduction,
+      depositRefundAmount: booking.depositRefundAmount,
+      invoiceNumber: invoice ? invoice.number : null,
+      balance: summary.balance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bookings/:id/inspections', authenticate, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('customerId inspections damages damageCharges depositAmount depositStatus depositDeduction depositRefundAmount')
+      .populate('inspections.inspectedBy', 'name');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      checklist: INSPECTION_CHECKLIST,
+      conditions: INSPECTION_CONDITIONS,
+      handover: booking.inspections.find(i => i.stage === 'handover') || null,
+      return: booking.inspections.find(i => i.stage === 'return') || null,
+      damages: booking.damages,
+      damageCharges: booking.damageCharges,
+      deposit: {
+        amount: booking.depositAmount,
+        status: booking.depositStatus,
+        deduction: booking.depositDeduction,
+        refundAmount: booking.depositRefundAmount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== PHONEPE PAYMENT ROUTES ====================
+
+// Create Payment Order with PhonePe
+app.post('/api/payment/create-order', authenticate, async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+
+    const booking = await Booking.findById(bookingId).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (booking.status !== 'payment_pending') {
+      return res.status(400).json({ error: 'Booking must be accepted by admin before payment' });
+    }
+
+    // Initiate payment with PhonePe
+    const { merchantOrderId, paymentResponse } = await createPaymentOrder(booking, booking.totalPrice, {
+      udf4: `Duration: ${booking.duration}hrs`,
+      udf5: `Deposit: ₹${booking.depositAmount}`
+    });
+
+    // Save PhonePe details to booking
+    booking.merchantOrderId = merchantOrderId;
+    booking.phonePeOrderId = paymentResponse.orderId;
+    booking.updatedAt = Date.now();
+    await booking.save();
+
+    await recordLedgerEntry(booking, {
+      type: 'payment',
+      category: 'rental',
+      amount: booking.totalPrice,
+      status: 'pending',
+      merchantOrderId,
+      createdBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      redirectUrl: paymentResponse.redirectUrl,
+      orderId: paymentResponse.orderId,
+      merchantOrderId: merchantOrderId,
+      state: paymentResponse.state,
+      expireAt: paymentResponse.expireAt,
+      bookingDetails: {
+        amount: booking.totalPrice,
+        couponCode: booking.couponCode,
+        couponDiscount: booking.couponDiscount,
+        carName: booking.carId.carName,
+        duration: booking.duration,
+        depositAmount: booking.depositAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('PhonePe order creation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check Payment Status
+app.get('/api/payment/status/:merchantOrderId', authenticate, async (req, res) => {
+  try {
+    const { merchantOrderId } = req.params;
+
+    const booking = (await findRentalPaymentByOrder(merchantOrderId)).booking ||
+      (await findModificationByOrder(merchantOrderId)).booking ||
+      (await findBalancePaymentByOrder(merchantOrderId)).booking;
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (booking.customerId.toString() !== req.userId.toString() && !hasPermission(req.user, 'bookings.view')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Get order status from the payment gateway
+    const statusResponse = await paymentGateway.getOrderStatus(merchantOrderId);
+
+    // Same transitions as the webhook; whichever arrives second is a no-op
+    const outcome = await applyOrderState(merchantOrderId, statusResponse.state, statusResponse);
+    const current = outcome.booking || booking;
+
+    res.json({
+      success: true,
+      status: statusResponse.state,
+      orderDetails: statusResponse,
+      bookingStatus: current.status,
+      ...(outcome.modification && { modificationStatus: outcome.modification.status }),
+      ...(outcome.payment && { paymentStatus: outcome.payment.status })
+    });
+
   } catch (error) {
+    console.error('Payment status check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/cars/:id', authenticate, isAdmin, async (req, res) => {
-  try {
-    const car = await Car.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-    if (!car) {
-      return res.status(404).json({ error: 'Car not found' });
+const getWebhookDedupeKey = (type, payload) => {
+  const reference = payload.merchantRefundId || payload.originalMerchantOrderId || payload.merchantOrderId || payload.orderId;
+  return `${type}:${reference}:${payload.state || ''}`;
+};
+
+const processWebhookEvent = async (event) => {
+  const payload = event.payload || {};
+  event.attempts += 1;
+
+  try {
+    let result;
+
+    // Handle different callback types
+    switch (event.type) {
+      case 'CHECKOUT_ORDER_COMPLETED':
+        // Payment successful
+        result = (await applyOrderState(payload.originalMerchantOrderId, 'COMPLETED', payload)).result;
+        break;
+
+      case 'CHECKOUT_ORDER_FAILED':
+        // Payment failed
+        result = (await applyOrderState(payload.originalMerchantOrderId, 'FAILED', payload)).result;
+        break;
+
+      case 'PG_REFUND_COMPLETED':
+        // Refund completed
+        result = `refund ${(await applyRefundState(payload.merchantRefundId, 'COMPLETED', payload))?.state || 'not found'}`;
+        break;
+
+      case 'PG_REFUND_FAILED':
+        // Refund failed
+        result = `refund ${(await applyRefundState(payload.merchantRefundId, 'FAILED', payload))?.state || 'not found'}`;
+        break;
+
+      case 'PG_REFUND_ACCEPTED':
+        // Refund accepted but not completed yet
+        result = `refund ${(await applyRefundState(payload.merchantRefundId, 'ACCEPTED', payload))?.state || 'not found'}`;
+        break;
+
+      default:
+        result = 'unhandled event type';
+        console.log('Unhandled webhook event:', event.type);
     }
-    res.json({ message: 'Car updated successfully', car });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
 
-app.delete('/api/cars/:id', authenticate, isAdmin, async (req, res) => {
-  try {
-    const car = await Car.findByIdAndDelete(req.params.id);
-    if (!car) {
-      return res.status(404).json({ error: 'Car not found' });
-    }
-    res.json({ message: 'Car deleted successfully' });
+    event.status = 'processed';
+    event.result = result;
+    event.error = undefined;
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    event.status = 'failed';
+    event.error = error.message;
   }
-});
 
-// ==================== BOOKING ROUTES ====================
+  event.processedAt = new Date();
+  await event.save();
+  return event;
+};
 
-app.post('/api/bookings', 
-  authenticate,
-  upload.fields([
-    { name: 'drivingLicense', maxCount: 1 },
-    { name: 'aadharCard', maxCount: 1 },
-    { name: 'livePhoto', maxCount: 1 }
-  ]),
-  async (req, res) => {
-    try {
-      const {
-        carId, startTime, duration, fullName, guardianName, guardianRelation,
-        residentialAddress, email, mobile, occupation,
-        reference1Name, reference1Mobile, reference2Name, reference2Mobile,
-        drivingLicenseNumber, licenseExpiryDate,
-        depositType, bikeDetails, withDriver, homeDelivery, deliveryAddress, deliveryDistance
-      } = req.body;
+// PhonePe Webhook Handler
+app.post('/api/payment/webhook', express.json(), async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const responseBody = JSON.stringify(req.body);
 
-      if (duration % 12 !== 0) {
-        return res.status(400).json({ error: 'Duration must be in multiples of 12 hours' });
-      }
+    // Validate webhook callback (credentials are read by the gateway from the environment)
+    const callbackResponse = paymentGateway.validateCallback(authHeader, responseBody);
+
+    console.log(`Payment Webhook Event (${paymentGateway.name}):`, callbackResponse.type);
+
+    const payload = callbackResponse.payload || {};
+    const dedupeKey = getWebhookDedupeKey(callbackResponse.type, payload);
+
+    // Store the event once; redeliveries only bump the counter
+    const event = await WebhookEvent.findOneAndUpdate(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          dedupeKey,
+          type: callbackResponse.type,
+          merchantOrderId: payload.originalMerchantOrderId || payload.merchantOrderId,
+          merchantRefundId: payload.merchantRefundId,
+          state: payload.state,
+          payload: req.body.payload || payload,
+          receivedAt: new Date()
+        },
+        $inc: { deliveries: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
 
-      const car = await Car.findById(carId);
-      if (!car) {
-        return res.status(404).json({ error: 'Car not found' });
-      }
-      if (!car.available) {
-        return res.status(400).json({ error: 'Car is not available' });
-      }
+    if (event.status === 'processed') {
+      return res.json({ status: 'ok', duplicate: true });
+    }
 
-      if (withDriver === 'true' && !car.driverAvailable) {
-        return res.status(400).json({ error: 'Driver service not available for this car' });
-      }
+    const processed = await processWebhookEvent(event);
+    if (processed.status === 'failed') {
+      console.error('Webhook processing error:', processed.error);
+      return res.status(500).json({ error: processed.error });
+    }
 
-      if (!req.files.drivingLicense || !req.files.aadharCard || !req.files.livePhoto) {
-        return res.status(400).json({ error: 'All documents (Driving License, Aadhar, Live Photo) are required' });
-      }
+    res.json({ status: 'ok' });
 
-      const start = new Date(startTime);
-      const end = new Date(start.getTime() + (duration * 60 * 60 * 1000));
-      const depositAmount = car.securityDeposit;
-      
-      const deliveryFee = (homeDelivery === 'true' && deliveryDistance <= 5) ? 500 : 0;
-      const totalPrice = calculateTotalPrice(car, parseInt(duration), withDriver === 'true', homeDelivery === 'true', parseFloat(deliveryDistance || 0));
-      
-      const { basePrice, driverCharges } = calculatePriceByDuration(car, parseInt(duration), withDriver === 'true');
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const booking = new Booking({
-        customerId: req.userId,
-        carId,
-        startTime: start,
-        duration: parseInt(duration),
-        endTime: end,
-        fullName, guardianName, guardianRelation, residentialAddress, email, mobile, occupation,
-        reference1Name, reference1Mobile, reference2Name, reference2Mobile,
-        drivingLicenseNumber,
-        licenseExpiryDate: new Date(licenseExpiryDate),
-        drivingLicenseImage: req.files.drivingLicense[0].path,
-        aadharCardImage: req.files.aadharCard[0].path,
-        livePhoto: req.files.livePhoto[0].path,
-        depositType,
-        bikeDetails: depositType === 'bike' ? bikeDetails : null,
-        depositAmount,
-        withDriver: withDriver === 'true',
-        driverCharges,
-        homeDelivery: homeDelivery === 'true',
-        deliveryAddress: homeDelivery === 'true' ? deliveryAddress : null,
-        deliveryDistance: homeDelivery === 'true' ? parseFloat(deliveryDistance) : 0,
-        deliveryFee,
-        basePrice,
-        totalPrice,
-        status: 'pending'
-      });
+// Initiate Refund
+app.post('/api/payment/refund', authenticate, requirePermission('payments.refund'), async (req, res) => {
+  try {
+    const { bookingId, amount, reason, purpose, merchantOrderId } = req.body;
 
-      await booking.save();
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
 
-      await createNotification(
-        req.userId,
-        `New booking request submitted for ${car.carName}`,
-        booking._id,
-        'booking_update'
-      );
+    if (!booking.merchantOrderId) {
+      return res.status(400).json({ error: 'No payment found for this booking' });
+    }
 
-      res.status(201).json({
-        message: 'Booking submitted successfully. Waiting for admin approval.',
-        booking
-      });
-    } catch (error) {
-      console.error('Booking error:', error);
-      res.status(500).json({ error: error.message });
+    // Initiate refund with PhonePe
+    const result = await initiateRefund(booking, amount, {
+      merchantOrderId: merchantOrderId || booking.merchantOrderId,
+      reason,
+      purpose,
+      initiatedBy: req.userId
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
-});
+    const { refund, refundResponse } = result;
+
+    await recordLedgerEntry(booking, {
+      type: 'credit',
+      category: 'refund_adjustment',
+      amount: refund.amount,
+      description: reason || 'Refund issued by admin',
+      createdBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund initiated successfully',
+      refundId: refundResponse.refundId,
+      merchantRefundId: refund.merchantRefundId,
+      state: refundResponse.state,
+      amount: refundResponse.amount / 100,
+      refund
+    });
 
-app.get('/api/bookings/my-bookings', authenticate, async (req, res) => {
-  try {
-    const bookings = await Booking.find({ customerId: req.userId })
-      .populate('carId', 'carName model type imageUrl gearType fuelType')
-      .sort({ createdAt: -1 });
-    res.json({ bookings });
   } catch (error) {
+    console.error('Refund initiation error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/bookings', authenticate, isAdmin, async (req, res) => {
+// Check Refund Status
+app.get('/api/payment/refund/status/:merchantRefundId', authenticate, requirePermission('payments.refund'), async (req, res) => {
   try {
-    const { status } = req.query;
-    let filter = {};
-    if (status) filter.status = status;
+    const { merchantRefundId } = req.params;
+
+    // Get refund status from the payment gateway
+    const refundStatus = await paymentGateway.getRefundStatus(merchantRefundId);
+    const refund = await applyRefundState(merchantRefundId, refundStatus.state);
+
+    res.json({
+      success: true,
+      refundStatus,
+      refund
+    });
 
-    const bookings = await Booking.find(filter)
-      .populate('customerId', 'name email mobile')
-      .populate('carId', 'carName model type gearType fuelType')
-      .sort({ createdAt: -1 });
-    res.json({ bookings });
   } catch (error) {
+    console.error('Refund status check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/bookings/:id', authenticate, async (req, res) => {
+// List refunds for a booking
+app.get('/api/bookings/:id/refunds', authenticate, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('customerId', 'name email mobile')
-      .populate('carId');
-
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (req.user.role !== 'admin' && booking.customerId._id.toString() !== req.userId.toString()) {
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json({ booking });
+    const refunds = await Refund.find({ bookingId: booking._id }).sort({ createdAt: -1 });
+    res.json({ refunds });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/bookings/:id/review', authenticate, isAdmin, async (req, res) => {
-  try {
-    const { action, adminNotes } = req.body;
+// ==================== LEDGER ROUTES ====================
 
-    const booking = await Booking.findById(req.params.id).populate('carId');
+app.get('/api/bookings/:id/ledger', authenticate, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.status !== 'pending') {
-      return res.status(400).json({ error: 'Booking has already been reviewed' });
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (action === 'accept') {
-      booking.status = 'payment_pending';
-      booking.adminNotes = adminNotes;
+    const ledger = await getBookingLedger(booking._id);
+    res.json({ bookingId: booking._id, ...ledger });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      await createNotification(
-        booking.customerId,
-        `Your booking for ${booking.carId.carName} has been accepted! Please proceed with payment.`,
-        booking._id,
-        'booking_update'
-      );
+// Add a charge (e.g. damage) or credit to a booking
+app.post('/api/bookings/:id/ledger', authenticate, requirePermission('ledger.manage'), async (req, res) => {
+  try {
+    const { type, category, amount, description } = req.body;
 
-      await booking.save();
-      res.json({ message: 'Booking accepted. Customer can now proceed with payment.', booking });
+    if (!['charge', 'credit'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be "charge" or "credit"' });
+    }
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ error: 'Amount must be greater than zero' });
+    }
 
-    } else if (action === 'decline') {
-      booking.status = 'declined';
-      booking.adminNotes = adminNotes;
+    const booking = await Booking.findById(req.params.id).populate('carId', 'carName');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
 
-      await Car.findByIdAndUpdate(booking.carId, { available: true });
+    const entry = await recordLedgerEntry(booking, {
+      type,
+      category: category || 'other',
+      amount: Number(amount),
+      description,
+      createdBy: req.userId
+    });
 
+    if (type === 'charge') {
       await createNotification(
         booking.customerId,
-        `Your booking for ${booking.carId.carName} has been declined. Reason: ${adminNotes}`,
+        `A charge of ₹${entry.amount} has been added to your booking for ${booking.carId.carName}${description ? `: ${description}` : ''}.`,
         booking._id,
-        'booking_update'
+        'payment'
       );
-
-      await booking.save();
-      res.json({ message: 'Booking declined', booking });
-    } else {
-      return res.status(400).json({ error: 'Invalid action. Use "accept" or "decline"' });
     }
+
+    const { summary } = await getBookingLedger(booking._id);
+    res.status(201).json({ message: 'Ledger entry added', entry, summary });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/bookings/:id/start', authenticate, isAdmin, async (req, res) => {
+// Create a PhonePe order for the booking's outstanding balance
+app.post('/api/bookings/:id/ledger/pay', authenticate, async (req, res) => {
   try {
-    const { vehicleName, vehicleNumber, startOdometer } = req.body;
-
-    const booking = await Booking.findById(req.params.id);
+    const booking = await Booking.findById(req.params.id).populate('carId');
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.status !== 'paid') {
-      return res.status(400).json({ error: 'Payment must be completed first' });
+    if (booking.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    booking.status = 'active';
-    booking.vehicleName = vehicleName;
-    booking.vehicleNumber = vehicleNumber;
-    booking.startOdometer = startOdometer;
-    booking.depositStatus = 'received';
+    // The initial rental payment goes through /api/payment/create-order
+    if (['pending', 'accepted', 'payment_pending', 'declined'].includes(booking.status)) {
+      return res.status(400).json({ error: 'Booking has no balance payable yet' });
+    }
 
-    await booking.save();
+    // A booking cancelled (or expired) before its rental was paid owes nothing
+    if (booking.status === 'cancelled') {
+      const rentalPaid = ['completed', 'partially_refunded', 'refunded'].includes(booking.paymentStatus) ||
+        await Transaction.exists({ bookingId: booking._id, type: 'payment', category: 'rental', status: 'completed' });
+      if (!rentalPaid) {
+        return res.status(400).json({ error: 'Booking was cancelled before it was paid; nothing is payable' });
+      }
+    }
 
-    await createNotification(
-      booking.customerId,
-      `Your rental for ${vehicleName} has started. Enjoy your ride!`,
-      booking._id,
-      'booking_update'
-    );
+    // Abandoned checkouts stop blocking new attempts after 30 minutes
+    const pendingPayment = await Transaction.findOne({
+      bookingId: booking._id,
+      type: 'payment',
+      category: 'balance',
+      status: 'pending',
+      createdAt: { $gt: new Date(Date.now() - 30 * 60 * 1000) }
+    });
+    if (pendingPayment) {
+      return res.status(400).json({ error: 'A payment for this booking is already in progress', merchantOrderId: pendingPayment.merchantOrderId });
+    }
 
-    res.json({ message: 'Booking marked as active', booking });
+    const { summary } = await getBookingLedger(booking._id);
+    if (summary.balance <= 0) {
+      return res.status(400).json({ error: 'No outstanding balance' });
+    }
+
+    const { merchantOrderId, paymentResponse } = await createPaymentOrder(booking, summary.balance, {
+      udf4: 'Outstanding balance',
+      udf5: `Balance: ₹${summary.balance}`
+    });
+
+    await recordLedgerEntry(booking, {
+      type: 'payment',
+      category: 'balance',
+      amount: summary.balance,
+      status: 'pending',
+      merchantOrderId,
+      createdBy: req.userId
+    });
+
+    res.json({
+      success: true,
+      redirectUrl: paymentResponse.redirectUrl,
+      orderId: paymentResponse.orderId,
+      merchantOrderId,
+      state: paymentResponse.state,
+      expireAt: paymentResponse.expireAt,
+      amount: summary.balance
+    });
   } catch (error) {
+    console.error('Balance payment error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/bookings/:id/complete', authenticate, isAdmin, async (req, res) => {
-  try {
-    const { endOdometer, actualReturnTime } = req.body;
+// ==================== FILE ROUTES ====================
 
-    const booking = await Booking.findById(req.params.id).populate('carId');
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
+// Serves an uploaded document through a signed link. The link is the authorisation: it is only handed
+// out by routes that have checked the caller may see the document, and it expires after FILE_URL_TTL_SECONDS.
+app.get('/api/files/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
 
-    if (booking.status !== 'active') {
-      return res.status(400).json({ error: 'Booking is not active' });
+    if (!FILE_KEY_PATTERN.test(key) || !verifyFileSignature(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired file link' });
     }
 
-    const returnTime = actualReturnTime ? new Date(actualReturnTime) : new Date();
-    const lateFee = calculateLateReturnFee(booking.endTime, returnTime);
-    const lateHours = lateFee > 0 ? Math.ceil((returnTime - booking.endTime) / (1000 * 60 * 60)) : 0;
-
-    booking.status = 'completed';
-    booking.endOdometer = endOdometer;
-    booking.actualReturnTime = returnTime;
-    booking.lateReturnFee = lateFee;
-    booking.lateHours = lateHours;
-    booking.totalPrice = booking.basePrice + booking.driverCharges + booking.deliveryFee + lateFee;
-    booking.depositStatus = 'refunded';
-
-    await Car.findByIdAndUpdate(booking.carId, { available: true });
-
-    let message = `Your rental for ${booking.carId.carName} is completed.`;
-    if (lateFee > 0) {
-      message += ` Late return fee of ₹${lateFee} has been charged (${lateHours} hours late).`;
+    let content;
+    try {
+      content = await documentStorage.read(key);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      throw error;
     }
-    message += ` Your deposit will be refunded.`;
-
-    await createNotification(booking.customerId, message, booking._id, 'booking_update');
 
-    await booking.save();
-    res.json({ message: 'Booking completed successfully', booking, lateFee, lateHours });
+    res.set({
+      'Content-Type': FILE_CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+      'Content-Disposition': `inline; filename="${key}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(content);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== PHONEPE PAYMENT ROUTES ====================
+// ==================== INVOICE ROUTES ====================
 
-// Create Payment Order with PhonePe
-app.post('/api/payment/create-order', authenticate, async (req, res) => {
-  try {
-    const { bookingId } = req.body;
+const sendInvoiceFile = async (res, invoice) => {
+  if (!invoice.filePath || !fs.existsSync(invoice.filePath)) {
+    await writeInvoiceFile(invoice);
+  }
+  res.download(path.resolve(invoice.filePath), `${invoice.number.replace(/\//g, '-')}.pdf`);
+};
 
-    const booking = await Booking.findById(bookingId).populate('carId');
+// Downloads the booking's tax invoice as PDF
+app.get('/api/bookings/:id/invoice', authenticate, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select('customerId');
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.customerId.toString() !== req.userId.toString()) {
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (booking.status !== 'payment_pending') {
-      return res.status(400).json({ error: 'Booking must be accepted by admin before payment' });
+    const invoice = await Invoice.findOne({ bookingId: booking._id, documentType: 'invoice' });
+    if (!invoice) {
+      return res.status(404).json({ error: 'No invoice has been issued for this booking yet' });
     }
 
-    // Generate unique merchant order ID
-    const merchantOrderId = randomUUID();
-    
-    // Amount in paisa (PhonePe requires amount in smallest currency unit)
-    const amountInPaisa = booking.totalPrice * 100;
-
-    // Redirect URL - where user returns after payment
-    const redirectUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/callback`;
-
-    // Create meta info for tracking
-    const metaInfo = MetaInfo.builder()
-      .udf1(bookingId.toString())
-      .udf2(booking.carId.carName)
-      .udf3(req.userId.toString())
-      .udf4(`Duration: ${booking.duration}hrs`)
-      .udf5(`Deposit: ₹${booking.depositAmount}`)
-      .build();
-
-    // Build payment request
-    const paymentRequest = StandardCheckoutPayRequest.builder()
-      .merchantOrderId(merchantOrderId)
-      .amount(amountInPaisa)
-      .redirectUrl(redirectUrl)
-      .metaInfo(metaInfo)
-      .build();
-
-    // Initiate payment with PhonePe
-    const paymentResponse = await phonePeClient.pay(paymentRequest);
-
-    // Save PhonePe details to booking
-    booking.merchantOrderId = merchantOrderId;
-    booking.phonePeOrderId = paymentResponse.orderId;
-    booking.updatedAt = Date.now();
-    await booking.save();
-
-    res.json({
-      success: true,
-      redirectUrl: paymentResponse.redirectUrl,
-      orderId: paymentResponse.orderId,
-      merchantOrderId: merchantOrderId,
-      state: paymentResponse.state,
-      expireAt: paymentResponse.expireAt,
-      bookingDetails: {
-        amount: booking.totalPrice,
-        carName: booking.carId.carName,
-        duration: booking.duration,
-        depositAmount: booking.depositAmount
-      }
-    });
-
+    await sendInvoiceFile(res, invoice);
   } catch (error) {
-    console.error('PhonePe order creation error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Check Payment Status
-app.get('/api/payment/status/:merchantOrderId', authenticate, async (req, res) => {
+// Invoice and credit notes for a booking (without the PDF)
+app.get('/api/bookings/:id/invoices', authenticate, async (req, res) => {
   try {
-    const { merchantOrderId } = req.params;
-
-    const booking = await Booking.findOne({ merchantOrderId }).populate('carId');
+    const booking = await Booking.findById(req.params.id).select('customerId');
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    if (booking.customerId.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'bookings.view') && booking.customerId.toString() !== req.userId.toString()) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get order status from PhonePe
-    const statusResponse = await phonePeClient.getOrderStatus(merchantOrderId);
-
-    // Update booking based on payment status
-    if (statusResponse.state === 'COMPLETED' && booking.status === 'payment_pending') {
-      booking.status = 'paid';
-      booking.paymentStatus = 'completed';
-      booking.phonePeOrderId = statusResponse.orderId;
-      
-      // Get transaction ID from payment details
-      if (statusResponse.paymentDetails && statusResponse.paymentDetails.length > 0) {
-        booking.phonePeTransactionId = statusResponse.paymentDetails[0].transactionId;
-      }
-      
-      booking.paymentDate = new Date();
-      booking.updatedAt = Date.now();
-
-      await booking.save();
-      await Car.findByIdAndUpdate(booking.carId, { available: false });
+    const documents = await Invoice.find({ bookingId: booking._id }).select('-filePath').sort({ issuedAt: 1 });
+    res.json({ documents });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      await createNotification(
-        booking.customerId,
-        `Payment successful! ₹${booking.totalPrice} paid for ${booking.carId.carName}. Booking confirmed!`,
-        booking._id,
-        'payment'
-      );
-    } else if (statusResponse.state === 'FAILED') {
-      booking.paymentStatus = 'failed';
-      await booking.save();
+// Downloads any invoice or credit note by id
+app.get('/api/invoices/:id/pdf', authenticate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    res.json({
-      success: true,
-      status: statusResponse.state,
-      orderDetails: statusResponse,
-      bookingStatus: booking.status
-    });
+    if (!hasPermission(req.user, 'bookings.view') && invoice.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
+    await sendInvoiceFile(res, invoice);
   } catch (error) {
-    console.error('Payment status check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// PhonePe Webhook Handler
-app.post('/api/payment/webhook', express.json(), async (req, res) => {
+// Issues the invoice for a completed booking that has none (e.g. completed before invoicing was enabled)
+app.post('/api/bookings/:id/invoice', authenticate, requirePermission('ledger.manage'), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const responseBody = JSON.stringify(req.body);
+    const booking = await Booking.findById(req.params.id).populate('carId');
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
 
-    // Get webhook credentials from environment
-    const webhookUsername = process.env.PHONEPE_WEBHOOK_USERNAME;
-    const webhookPassword = process.env.PHONEPE_WEBHOOK_PASSWORD;
+    if (booking.status !== 'completed') {
+      return res.status(400).json({ error: 'Invoices are issued for completed bookings only' });
+    }
+    if (booking.depositStatus === 'received') {
+      return res.status(400).json({ error: 'Settle damage charges before issuing the invoice' });
+    }
 
-    // Validate webhook callback
-    const callbackResponse = phonePeClient.validateCallback(
-      webhookUsername,
-      webhookPassword,
-      authHeader,
-      responseBody
-    );
+    if (await Invoice.exists({ bookingId: booking._id, documentType: 'invoice' })) {
+      return res.status(409).json({ error: 'An invoice has already been issued for this booking' });
+    }
 
-    console.log('PhonePe Webhook Event:', callbackResponse.type);
+    const invoice = await issueInvoice(booking);
+    res.status(201).json({ message: 'Invoice issued', invoice });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const payload = callbackResponse.payload;
+// ==================== WEBHOOK EVENT ROUTES ====================
 
-    // Handle different callback types
-    switch (callbackResponse.type) {
-      case 'CHECKOUT_ORDER_COMPLETED':
-        // Payment successful
-        const booking = await Booking.findOne({ merchantOrderId: payload.originalMerchantOrderId }).populate('carId');
-        
-        if (booking) {
-          booking.status = 'paid';
-          booking.paymentStatus = 'completed';
-          booking.phonePeOrderId = payload.orderId;
-          
-          if (payload.paymentDetails && payload.paymentDetails.length > 0) {
-            booking.phonePeTransactionId = payload.paymentDetails[0].transactionId;
-          }
-          
-          booking.paymentDate = new Date();
-          booking.updatedAt = Date.now();
-          
-          await booking.save();
-          await Car.findByIdAndUpdate(booking.carId, { available: false });
-
-          await createNotification(
-            booking.customerId,
-            `Payment of ₹${booking.totalPrice} confirmed for ${booking.carId.carName}!`,
-            booking._id,
-            'payment'
-          );
-        }
-        break;
+app.get('/api/admin/webhook-events', authenticate, requirePermission('payments.audit'), async (req, res) => {
+  try {
+    const { status, type, merchantOrderId, limit = 50, skip = 0 } = req.query;
+    let filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (merchantOrderId) filter.merchantOrderId = merchantOrderId;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ receivedAt: -1 })
+        .skip(parseInt(skip))
+        .limit(Math.min(parseInt(limit) || 50, 200)),
+      WebhookEvent.countDocuments(filter)
+    ]);
+    res.json({ events, total });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      case 'CHECKOUT_ORDER_FAILED':
-        // Payment failed
-        const failedBooking = await Booking.findOne({ merchantOrderId: payload.originalMerchantOrderId }).populate('carId');
-        
-        if (failedBooking) {
-          failedBooking.paymentStatus = 'failed';
-          failedBooking.updatedAt = Date.now();
-          await failedBooking.save();
-
-          await createNotification(
-            failedBooking.customerId,
-            `Payment failed for ${failedBooking.carId.carName}. Please try again.`,
-            failedBooking._id,
-            'payment'
-          );
-        }
-        break;
+// Re-runs a stored event; transitions are guarded, so replaying an applied event changes nothing
+app.post('/api/admin/webhook-events/:id/replay', authenticate, requirePermission('payments.audit'), async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
 
-      case 'PG_REFUND_COMPLETED':
-        // Refund completed
-        console.log('Refund completed:', payload.merchantRefundId);
-        break;
+    const processed = await processWebhookEvent(event);
+    res.json({ message: `Event replayed (${processed.status})`, event: processed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      case 'PG_REFUND_FAILED':
-        // Refund failed
-        console.log('Refund failed:', payload.merchantRefundId);
-        break;
+// ==================== RECONCILIATION ROUTES ====================
 
-      case 'PG_REFUND_ACCEPTED':
-        // Refund accepted but not completed yet
-        console.log('Refund accepted:', payload.merchantRefundId);
-        break;
+app.get('/api/admin/reconciliation', authenticate, requirePermission('payments.audit'), async (req, res) => {
+  try {
+    const { status, trigger, withMismatches, limit = 20, skip = 0 } = req.query;
+    let filter = {};
+    if (status) filter.status = status;
+    if (trigger) filter.trigger = trigger;
+    if (withMismatches === 'true') filter.$or = [{ mismatches: { $gt: 0 } }, { failures: { $gt: 0 } }];
+
+    const [runs, total] = await Promise.all([
+      ReconciliationRun.find(filter)
+        .select('-items')
+        .sort({ startedAt: -1 })
+        .skip(parseInt(skip))
+        .limit(Math.min(parseInt(limit) || 20, 100)),
+      ReconciliationRun.countDocuments(filter)
+    ]);
+    res.json({ runs, total });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      default:
-        console.log('Unhandled webhook event:', callbackResponse.type);
+app.get('/api/admin/reconciliation/:id', authenticate, requirePermission('payments.audit'), async (req, res) => {
+  try {
+    const run = await ReconciliationRun.findById(req.params.id)
+      .populate('items.bookingId', 'fullName status paymentStatus totalPrice')
+      .populate('triggeredBy', 'name email');
+    if (!run) {
+      return res.status(404).json({ error: 'Reconciliation run not found' });
     }
-
-    res.json({ status: 'ok' });
-
+    res.json(run);
   } catch (error) {
-    console.error('Webhook error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Initiate Refund
-app.post('/api/payment/refund', authenticate, isAdmin, async (req, res) => {
+// Runs reconciliation now; minAgeMinutes=0 includes orders created moments ago
+app.post('/api/admin/reconciliation/run', authenticate, requirePermission('payments.audit'), async (req, res) => {
   try {
-    const { bookingId, amount } = req.body;
-
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+    const minAgeMinutes = req.body.minAgeMinutes !== undefined ? Number(req.body.minAgeMinutes) : RECONCILIATION_MIN_AGE_MINUTES;
+    if (isNaN(minAgeMinutes) || minAgeMinutes < 0) {
+      return res.status(400).json({ error: 'minAgeMinutes must be a non-negative number' });
     }
-
-    if (!booking.merchantOrderId) {
-      return res.status(400).json({ error: 'No payment found for this booking' });
+    if (reconciliationJobRunning) {
+      return res.status(409).json({ error: 'A reconciliation run is already in progress' });
     }
 
-    // Generate unique refund ID
-    const merchantRefundId = randomUUID();
-    
-    // Amount in paisa
-    const refundAmountInPaisa = amount * 100;
-
-    // Build refund request
-    const refundRequest = RefundRequest.builder()
-      .merchantRefundId(merchantRefundId)
-      .originalMerchantOrderId(booking.merchantOrderId)
-      .amount(refundAmountInPaisa)
-      .build();
-
-    // Initiate refund with PhonePe
-    const refundResponse = await phonePeClient.refund(refundRequest);
-
-    res.json({
-      success: true,
-      message: 'Refund initiated successfully',
-      refundId: refundResponse.refundId,
-      merchantRefundId: merchantRefundId,
-      state: refundResponse.state,
-      amount: refundResponse.amount / 100
-    });
-
+    reconciliationJobRunning = true;
+    try {
+      const run = await reconcilePayments({ trigger: 'manual', triggeredBy: req.userId, minAgeMinutes });
+      res.json({ message: `Reconciliation ${run.status}`, run });
+    } finally {
+      reconciliationJobRunning = false;
+    }
   } catch (error) {
-    console.error('Refund initiation error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Check Refund Status
-app.get('/api/payment/refund/status/:merchantRefundId', authenticate, isAdmin, async (req, res) => {
-  try {
-    const { merchantRefundId } = req.params;
+// ==================== MOCK GATEWAY CHECKOUT ====================
+
+// Stands in for the gateway's hosted checkout page when PAYMENT_PROVIDER=mock
+const requireMockGateway = (req, res, next) => {
+  if (paymentGateway.name !== 'mock') {
+    return res.status(404).json({ error: 'Mock payment gateway is not enabled' });
+  }
+  next();
+};
 
-    // Get refund status from PhonePe
-    const refundStatus = await phonePeClient.getRefundStatus(merchantRefundId);
+app.get('/api/payment/mock/checkout/:merchantOrderId', requireMockGateway, (req, res) => {
+  const order = paymentGateway.getOrder(req.params.merchantOrderId);
+  if (!order) {
+    return res.status(404).send('Order not found');
+  }
 
-    res.json({
-      success: true,
-      refundStatus
-    });
+  const action = `/api/payment/mock/checkout/${encodeURIComponent(order.merchantOrderId)}`;
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Mock Payment</title></head>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Mock Payment Gateway</h2>
+    <p>Order: ${escapeHtml(order.merchantOrderId)}</p>
+    <p>${escapeHtml(order.metaInfo.udf2 || '')}</p>
+    <p><strong>Amount: ₹${order.amount / 100}</strong></p>
+    <p>State: ${order.state}</p>
+    <form method="POST" action="${action}">
+      <button name="result" value="success">Pay successfully</button>
+      <button name="result" value="failure">Fail payment</button>
+    </form>
+  </body>
+</html>`);
+});
 
+app.post('/api/payment/mock/checkout/:merchantOrderId', requireMockGateway, async (req, res) => {
+  try {
+    const order = await paymentGateway.completeOrder(req.params.merchantOrderId, req.body.result === 'success');
+    if (!order) {
+      return res.status(404).send('Order not found');
+    }
+
+    const separator = order.redirectUrl.includes('?') ? '&' : '?';
+    res.redirect(303, `${order.redirectUrl}${separator}merchantOrderId=${encodeURIComponent(order.merchantOrderId)}`);
   } catch (error) {
-    console.error('Refund status check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1009,7 +5477,7 @@ app.put('/api/notifications/:id/read', authenticate, async (req, res) => {
 
 // ==================== ADMIN STATS ====================
 
-app.get('/api/admin/stats', authenticate, isAdmin, async (req, res) => {
+app.get('/api/admin/stats', authenticate, requirePermission('stats.view'), async (req, res) => {
   try {
     const totalCars = await Car.countDocuments();
     const availableCars = await Car.countDocuments({ available: true });
@@ -1048,37 +5516,93 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: [
         'POST /api/auth/register',
-        'POST /api/auth/login'
+        'POST /api/auth/login',
+        'POST /api/auth/refresh',
+        'POST /api/auth/otp/request',
+        'POST /api/auth/otp/verify',
+        'POST /api/auth/password/forgot',
+        'POST /api/auth/password/reset',
+        'PUT /api/auth/password',
+        'POST /api/auth/logout',
+        'POST /api/auth/logout-all',
+        'GET /api/auth/sessions'
+      ],
+      profile: [
+        'GET /api/profile/kyc',
+        'PUT /api/profile/kyc',
+        'GET /api/admin/kyc',
+        'PUT /api/admin/kyc/:userId/review'
       ],
       cars: [
         'GET /api/cars',
         'GET /api/cars/:id',
+        'GET /api/cars/:id/availability',
         'POST /api/cars',
         'PUT /api/cars/:id',
         'DELETE /api/cars/:id'
       ],
       bookings: [
         'POST /api/bookings',
+        'POST /api/bookings/quote',
         'GET /api/bookings/my-bookings',
         'GET /api/bookings/:id',
         'GET /api/bookings',
         'PUT /api/bookings/:id/review',
+        'PUT /api/bookings/:id/documents/review',
+        'POST /api/bookings/:id/documents/:document',
+        'PUT /api/bookings/:id/cancel',
+        'POST /api/bookings/:id/modify',
         'PUT /api/bookings/:id/start',
-        'PUT /api/bookings/:id/complete'
+        'PUT /api/bookings/:id/complete',
+        'POST /api/bookings/:id/damage-charges',
+        'GET /api/bookings/:id/inspections',
+        'GET /api/bookings/:id/documents'
+      ],
+      files: [
+        'GET /api/files/:key'
       ],
       payment: [
         'POST /api/payment/create-order',
         'GET /api/payment/status/:merchantOrderId',
         'POST /api/payment/webhook',
         'POST /api/payment/refund',
-        'GET /api/payment/refund/status/:merchantRefundId'
+        'GET /api/payment/refund/status/:merchantRefundId',
+        'GET /api/admin/webhook-events',
+        'POST /api/admin/webhook-events/:id/replay',
+        'GET /api/admin/reconciliation',
+        'GET /api/admin/reconciliation/:id',
+        'POST /api/admin/reconciliation/run',
+        'GET /api/bookings/:id/refunds',
+        'GET /api/bookings/:id/ledger',
+        'POST /api/bookings/:id/ledger',
+        'POST /api/bookings/:id/ledger/pay',
+        'GET /api/bookings/:id/invoice',
+        'GET /api/bookings/:id/invoices',
+        'POST /api/bookings/:id/invoice',
+        'GET /api/invoices/:id/pdf',
+        'GET /api/payment/mock/checkout/:merchantOrderId',
+        'POST /api/payment/mock/checkout/:merchantOrderId'
+      ],
+      users: [
+        'GET /api/admin/roles',
+        'GET /api/admin/users',
+        'POST /api/admin/users',
+        'PUT /api/admin/users/:id'
       ],
       notifications: [
         'GET /api/notifications',
         'PUT /api/notifications/:id/read'
       ],
       admin: [
-        'GET /api/admin/stats'
+        'GET /api/admin/stats',
+        'GET /api/admin/pricing-rules',
+        'POST /api/admin/pricing-rules',
+        'PUT /api/admin/pricing-rules/:id',
+        'DELETE /api/admin/pricing-rules/:id',
+        'GET /api/admin/coupons',
+        'POST /api/admin/coupons',
+        'PUT /api/admin/coupons/:id',
+        'DELETE /api/admin/coupons/:id'
       ]
     }
   });
@@ -1091,13 +5615,306 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: err.message || 'Internal server error' });
 });
 
+// ==================== SCHEDULED JOBS ====================
+
+// Asks the gateway about an order before the expiry job gives up on it, applying a final state whose
+// webhook was missed. Returns the gateway state, or null when the gateway cannot say (unknown order,
+// gateway unreachable); such orders count as abandoned, and a payment that still turns up later is refunded.
+const checkOrderBeforeExpiry = async (merchantOrderId) => {
+  try {
+    const status = await paymentGateway.getOrderStatus(merchantOrderId);
+    if (['COMPLETED', 'FAILED'].includes(status.state)) {
+      await applyOrderState(merchantOrderId, status.state, status);
+    }
+    return status.state;
+  } catch (error) {
+    console.error(`Booking expiry: could not check order ${merchantOrderId}:`, error.message);
+    return null;
+  }
+};
+
+// True while any of the orders may still be paid
+const anyOrderInProgress = async (merchantOrderIds) => {
+  let inProgress = false;
+  for (const merchantOrderId of merchantOrderIds) {
+    const state = await checkOrderBeforeExpiry(merchantOrderId);
+    if (state !== null && !['COMPLETED', 'FAILED'].includes(state)) inProgress = true;
+  }
+  return inProgress;
+};
+
+// Cancels accepted bookings that were never paid (or whose start time has passed), fails extension /
+// date change payments that never arrived, and flags pending bookings that no admin has reviewed.
+// Orders still open at the gateway are left alone until it settles them.
+const expireStaleBookings = async () => {
+  const now = new Date();
+  const paymentCutoff = new Date(now.getTime() - PAYMENT_PENDING_EXPIRY_HOURS * HOUR_MS);
+  let expiredCount = 0;
+  let failedModifications = 0;
+
+  const unpaid = await Booking.find({
+    status: 'payment_pending',
+    $or: [
+      { reviewedAt: { $lt: paymentCutoff } },
+      { reviewedAt: { $exists: false }, updatedAt: { $lt: paymentCutoff } },
+      { startTime: { $lt: now } }
+    ]
+  }).populate('carId', 'carName');
+
+  for (const booking of unpaid) {
+    // Every order the customer opened, not just the latest one on the booking
+    const orders = await Transaction.find({ bookingId: booking._id, type: 'payment', category: 'rental', status: 'pending' })
+      .select('merchantOrderId');
+    const orderIds = new Set(orders.map(order => order.merchantOrderId));
+    if (booking.merchantOrderId && booking.paymentStatus === 'pending') orderIds.add(booking.merchantOrderId);
+
+    if (await anyOrderInProgress(orderIds)) continue;
+
+    const reason = booking.startTime < now
+      ? 'Payment not received before the rental start time'
+      : `Payment not received within ${PAYMENT_PENDING_EXPIRY_HOURS} hours of approval`;
+
+    // Skipped when one of the orders turned out to be paid
+    const expired = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'payment_pending' },
+      { $set: { status: 'cancelled', cancelledAt: now, cancellationReason: reason, updatedAt: Date.now() } },
+      { new: true }
+    );
+    if (!expired) continue;
+    expiredCount += 1;
+
+    // Nothing was paid, so everything still owed on the ledger is written off, as a cancellation does
+    const { summary } = await getBookingLedger(booking._id);
+    if (summary.balance > 0) {
+      await recordLedgerEntry(expired, {
+        type: 'credit',
+        category: 'cancellation',
+        amount: summary.balance,
+        description: `Booking expired: ${reason}`
+      });
+    }
+
+    await createNotification(
+      booking.customerId,
+      `Your booking for ${booking.carId ? booking.carId.carName : 'the car'} has expired. Reason: ${reason}.`,
+      booking._id,
+      'booking_update'
+    );
+  }
+
+  const modified = await Booking.find({
+    modifications: { $elemMatch: { status: 'payment_pending', createdAt: { $lt: paymentCutoff } } }
+  }).populate('carId', 'carName');
+
+  for (const booking of modified) {
+    for (const modification of booking.modifications) {
+      if (modification.status !== 'payment_pending' || modification.createdAt >= paymentCutoff) continue;
+      if (modification.merchantOrderId && await anyOrderInProgress([modification.merchantOrderId])) continue;
+
+      const reason = `Payment not received within ${PAYMENT_PENDING_EXPIRY_HOURS} hours`;
+      const failed = await Booking.findOneAndUpdate(
+        { _id: booking._id, modifications: { $elemMatch: { _id: modification._id, status: 'payment_pending' } } },
+        { $set: { 'modifications.$.status': 'failed', 'modifications.$.failureReason': reason, updatedAt: Date.now() } },
+        { new: true }
+      );
+      if (!failed) continue;
+      failedModifications += 1;
+
+      if (modification.merchantOrderId) {
+        await settleLedgerPayment(failed, modification.merchantOrderId, {
+          state: 'failed', amount: modification.priceDifference, category: 'extension'
+        });
+      }
+      await createNotification(
+        booking.customerId,
+        `Your ${modification.type} request for ${booking.carId ? booking.carId.carName : 'the car'} has expired (${reason.toLowerCase()}). Your booking is unchanged.`,
+        booking._id,
+        'booking_update'
+      );
+    }
+  }
+
+  const staleCutoff = new Date(now.getTime() - STALE_PENDING_HOURS * HOUR_MS);
+  const stale = await Booking.find({
+    status: 'pending',
+    createdAt: { $lt: staleCutoff },
+    staleFlaggedAt: { $exists: false }
+  }).populate('carId', 'carName');
+
+  if (stale.length) {
+    const reviewers = await findUsersWithPermission('bookings.review');
+    for (const booking of stale) {
+      for (const reviewer of reviewers) {
+        await createNotification(
+          reviewer._id,
+          `Booking request from ${booking.fullName} for ${booking.carId ? booking.carId.carName : 'a car'} has been awaiting review for over ${STALE_PENDING_HOURS} hours.`,
+          booking._id,
+          'booking_update'
+        );
+      }
+      booking.staleFlaggedAt = now;
+      await booking.save();
+    }
+  }
+
+  if (expiredCount || failedModifications || stale.length) {
+    console.log(`Booking expiry: ${expiredCount} expired, ${failedModifications} modification payments failed, ${stale.length} flagged as stale`);
+  }
+};
+
+let expiryJobRunning = false;
+const startBookingExpiryJob = () => {
+  setInterval(async () => {
+    if (expiryJobRunning || mongoose.connection.readyState !== 1) return;
+    expiryJobRunning = true;
+    try {
+      await expireStaleBookings();
+    } catch (error) {
+      console.error('Booking expiry job error:', error);
+    } finally {
+      expiryJobRunning = false;
+    }
+  }, EXPIRY_CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+// Reconciliation item kind for each category a PhonePe order can be opened for
+const PAYMENT_KINDS = { rental: 'booking', extension: 'modification', balance: 'balance' };
+
+// Collects orders and refunds that are still pending on our side after the webhook should have arrived
+const findUnsettledPayments = async (minAgeMinutes) => {
+  const cutoff = new Date(Date.now() - minAgeMinutes * 60 * 1000);
+  const lookback = new Date(Date.now() - RECONCILIATION_LOOKBACK_DAYS * 24 * HOUR_MS);
+  const pending = [];
+
+  // Every order writes a pending ledger payment, so this also finds retried, superseded and late orders
+  // whose booking has since moved on (a lost success webhook on them still gets refunded)
+  const payments = await Transaction.find({
+    type: 'payment',
+    status: 'pending',
+    merchantOrderId: { $exists: true, $ne: null },
+    createdAt: { $lt: cutoff, $gt: lookback }
+  }).populate('bookingId', 'status paymentStatus');
+  for (const payment of payments) {
+    const booking = payment.bookingId;
+    pending.push({
+      kind: PAYMENT_KINDS[payment.category] || 'booking',
+      bookingId: booking ? booking._id : payment.bookingId,
+      merchantOrderId: payment.merchantOrderId,
+      localState: payment.category === 'rental' && booking ? `${booking.status}/${booking.paymentStatus}` : payment.status,
+      amount: payment.amount
+    });
+  }
+
+  const refunds = await Refund.find({
+    state: { $in: ['pending', 'accepted'] },
+    createdAt: { $lt: cutoff, $gt: lookback }
+  });
+  for (const refund of refunds) {
+    pending.push({
+      kind: 'refund',
+      bookingId: refund.bookingId,
+      merchantOrderId: refund.originalMerchantOrderId,
+      merchantRefundId: refund.merchantRefundId,
+      localState: refund.state,
+      amount: refund.amount
+    });
+  }
+
+  return pending;
+};
+
+// Asks the gateway about every unsettled order/refund, applies terminal states through the same
+// guarded transitions as the webhook, and stores a report of everything that disagreed
+const reconcilePayments = async ({ trigger = 'scheduled', triggeredBy, minAgeMinutes = RECONCILIATION_MIN_AGE_MINUTES } = {}) => {
+  const run = await ReconciliationRun.create({ trigger, triggeredBy });
+
+  try {
+    const pending = await findUnsettledPayments(minAgeMinutes);
+
+    for (const item of pending) {
+      run.checked += 1;
+      try {
+        if (item.kind === 'refund') {
+          const status = await paymentGateway.getRefundStatus(item.merchantRefundId);
+          item.gatewayState = status.state;
+          item.gatewayAmount = status.amount / 100;
+          if (!['COMPLETED', 'FAILED'].includes(status.state)) {
+            run.stillPending += 1;
+            continue;
+          }
+          const refund = await applyRefundState(item.merchantRefundId, status.state, status);
+          item.action = `refund ${refund ? refund.state : 'not found'}`;
+          item.fixed = Boolean(refund && refund.state !== item.localState);
+        } else {
+          const status = await paymentGateway.getOrderStatus(item.merchantOrderId);
+          item.gatewayState = status.state;
+          item.gatewayAmount = status.amount / 100;
+          if (!['COMPLETED', 'FAILED'].includes(status.state)) {
+            run.stillPending += 1;
+            continue;
+          }
+          const outcome = await applyOrderState(item.merchantOrderId, status.state, status);
+          item.action = outcome.result;
+          item.fixed = outcome.changed;
+        }
+
+        run.mismatches += 1;
+        if (item.fixed) run.fixed += 1;
+        if (item.gatewayAmount !== item.amount) {
+          item.action = `${item.action}; amount differs (ours ₹${item.amount}, gateway ₹${item.gatewayAmount})`;
+        }
+        run.items.push(item);
+      } catch (error) {
+        run.failures += 1;
+        run.items.push({ ...item, error: error.message });
+      }
+    }
+
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  if (run.mismatches || run.failures || run.status === 'failed') {
+    console.log(`Payment reconciliation: ${run.checked} checked, ${run.mismatches} mismatched, ${run.fixed} fixed, ${run.failures} errors`);
+  }
+  return run;
+};
+
+let reconciliationJobRunning = false;
+const startReconciliationJob = () => {
+  setInterval(async () => {
+    if (reconciliationJobRunning || mongoose.connection.readyState !== 1) return;
+    reconciliationJobRunning = true;
+    try {
+      await reconcilePayments();
+    } catch (error) {
+      console.error('Payment reconciliation job error:', error);
+    } finally {
+      reconciliationJobRunning = false;
+    }
+  }, RECONCILIATION_INTERVAL_MINUTES * 60 * 1000);
+};
+
 // ==================== START SERVER ====================
 
 app.listen(PORT, () => {
   console.log(`🚗 CAR RENTAL SYSTEM RUNNING ON PORT ${PORT}`);
   console.log(`MongoDB: ${MONGODB_URI}`);
-  console.log(`PhonePe Environment: ${process.env.NODE_ENV === 'production' ? 'PRODUCTION' : 'SANDBOX'}`);
-  console.log(`PhonePe: ${process.env.PHONEPE_CLIENT_ID ? '✅ Configured' : '❌ Not Configured'}`);
+  console.log(`Payment Provider: ${paymentGateway.name}`);
+  console.log(`SMS Sender: ${smsSender.name}`);
+  if (paymentGateway.name === 'phonepe') {
+    console.log(`PhonePe Environment: ${process.env.NODE_ENV === 'production' ? 'PRODUCTION' : 'SANDBOX'}`);
+    console.log(`PhonePe: ${process.env.PHONEPE_CLIENT_ID ? '✅ Configured' : '❌ Not Configured'}`);
+  }
+
+  ensureBootstrapAdmin().catch(error => console.error('Bootstrap admin error:', error));
+  startBookingExpiryJob();
+  startReconciliationJob();
 });
 
 module.exports = app;